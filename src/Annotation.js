@@ -0,0 +1,84 @@
+// Annotation marks
+// Free notes the player can put on hidden tiles while reasoning. They are not
+// flags: they cost nothing, are never checked and disappear when the tile is revealed.
+
+export const ANNOTATION = {
+    QUESTION: 'QUESTION',
+    SAFE: 'SAFE',
+    PIN_RED: 'PIN_RED',
+    PIN_BLUE: 'PIN_BLUE',
+    PIN_GREEN: 'PIN_GREEN'
+};
+
+// Order marks cycle through when annotating the same tile again (then back to none)
+const ANNOTATION_ORDER = [
+    ANNOTATION.QUESTION,
+    ANNOTATION.SAFE,
+    ANNOTATION.PIN_RED,
+    ANNOTATION.PIN_BLUE,
+    ANNOTATION.PIN_GREEN
+];
+
+const PIN_COLORS = {
+    [ANNOTATION.PIN_RED]: '#ff4444',
+    [ANNOTATION.PIN_BLUE]: '#4488ff',
+    [ANNOTATION.PIN_GREEN]: '#44cc44'
+};
+
+/**
+ * Gets the mark that follows another one in the annotation cycle
+ * @param {string|null} mark - Current ANNOTATION value (null = no mark)
+ * @returns {string|null} Next ANNOTATION value, or null after the last one
+ */
+export function nextAnnotation(mark) {
+    if (!mark) return ANNOTATION_ORDER[0];
+    const index = ANNOTATION_ORDER.indexOf(mark);
+    return index + 1 < ANNOTATION_ORDER.length ? ANNOTATION_ORDER[index + 1] : null;
+}
+
+/**
+ * Draws a mark over a tile
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} mark - ANNOTATION value
+ * @param {number} pixelX - Left of the tile (in pixels)
+ * @param {number} pixelY - Top of the tile (in pixels)
+ * @param {number} cellSize - Size of the tile (in pixels)
+ */
+export function renderAnnotation(ctx, mark, pixelX, pixelY, cellSize) {
+    const centerX = pixelX + cellSize / 2;
+    const centerY = pixelY + cellSize / 2;
+
+    ctx.save();
+
+    switch (mark) {
+        case ANNOTATION.QUESTION:
+            ctx.font = '12px "Press Start 2P"';
+            ctx.fillStyle = 'white';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('?', centerX, centerY);
+            break;
+        case ANNOTATION.SAFE:
+            // Tick mark
+            ctx.strokeStyle = '#44ff44';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(pixelX + cellSize * 0.25, centerY);
+            ctx.lineTo(pixelX + cellSize * 0.45, pixelY + cellSize * 0.7);
+            ctx.lineTo(pixelX + cellSize * 0.75, pixelY + cellSize * 0.3);
+            ctx.stroke();
+            break;
+        default:
+            // Colour pin
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, cellSize / 5, 0, Math.PI * 2);
+            ctx.fillStyle = PIN_COLORS[mark];
+            ctx.fill();
+            ctx.strokeStyle = 'black';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+            break;
+    }
+
+    ctx.restore();
+}
@@ -0,0 +1,194 @@
+// Boss entity class
+// A large enemy guarding the stairs of every few floors. It covers several cells,
+// takes several hits and switches behaviour (and starts summoning minions) as it
+// loses health. The stairs stay sealed until it is defeated.
+
+import { SPRITES } from './rendering/spriteDefinitions.js';
+import { Enemy, ENEMY_KINDS, createEnemy } from './Enemy.js';
+import { createBehavior } from './ai/EnemyBehaviors.js';
+
+/**
+ * Boss kinds (same stats as ENEMY_KINDS, behaviour comes from the phases)
+ * - size: width and height in cells
+ * - activationRadius: wakes once the player is this close to any of its cells
+ * - phases: checked in order, a phase starts once health drops to healthBelow (share of max health)
+ *   - behavior / behaviorParams: strategy used during the phase
+ *   - summonEvery: turns between minion summons (0 = none)
+ * - minionKind: ENEMY_KINDS key of summoned minions
+ */
+export const BOSS_KINDS = {
+    TREANT: {
+        name: 'Rotten Treant',
+        sprite: SPRITES.BOSS_TREANT,
+        size: 2,
+        health: 5,
+        damage: 1,
+        attackEffect: { effect: 'STUN', turns: 1 },
+        activationRadius: 4,
+        minionKind: 'HORIZONTAL',
+        phases: [
+            { name: 'Stalking', healthBelow: 1, behavior: 'BossChaseBehavior', behaviorParams: { moveEvery: 2 }, summonEvery: 0 },
+            { name: 'Summoning', healthBelow: 0.6, behavior: 'BossChaseBehavior', behaviorParams: { moveEvery: 2 }, summonEvery: 4 },
+            { name: 'Enraged', healthBelow: 0.3, behavior: 'BossChaseBehavior', behaviorParams: { moveEvery: 1, steps: 2 }, summonEvery: 0 }
+        ]
+    }
+};
+
+/**
+ * Creates a boss of a kind
+ * @param {Object} kind - Entry of BOSS_KINDS
+ * @param {number} x - Grid x coordinate of its top-left cell
+ * @param {number} y - Grid y coordinate of its top-left cell
+ * @returns {Boss}
+ */
+export function createBoss(kind, x, y) {
+    return new Boss(x, y, kind);
+}
+
+export class Boss extends Enemy {
+    /**
+     * Creates a new boss
+     * @param {number} x - Grid x coordinate of its top-left cell
+     * @param {number} y - Grid y coordinate of its top-left cell
+     * @param {Object} kind - Entry of BOSS_KINDS
+     */
+    constructor(x, y, kind) {
+        const firstPhase = kind.phases[0];
+        super(x, y, { ...kind, behavior: firstPhase.behavior, behaviorParams: firstPhase.behaviorParams, diesOnAttack: false });
+        this.isBoss = true;
+        this.name = kind.name;
+        this.size = kind.size;
+        this.phases = kind.phases;
+        this.minionKind = kind.minionKind;
+
+        this.phaseIndex = 0;
+        this.turnsInPhase = 0;
+    }
+
+    /**
+     * Gets every cell the boss covers
+     * @param {number} x - Top-left x (default: current position)
+     * @param {number} y - Top-left y (default: current position)
+     * @returns {{x: number, y: number}[]}
+     */
+    getCells(x = this.x, y = this.y) {
+        const cells = [];
+        for (let dy = 0; dy < this.size; dy++) {
+            for (let dx = 0; dx < this.size; dx++) {
+                cells.push({ x: x + dx, y: y + dy });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Chebyshev distance from the closest cell of the boss to a position
+     * @param {number} x
+     * @param {number} y
+     * @returns {number} 0 if the position is covered by the boss, 1 if adjacent
+     */
+    distanceTo(x, y) {
+        const dx = Math.max(this.x - x, 0, x - (this.x + this.size - 1));
+        const dy = Math.max(this.y - y, 0, y - (this.y + this.size - 1));
+        return Math.max(dx, dy);
+    }
+
+    /**
+     * Reduces health and moves on to the next phase once its threshold is reached
+     * @param {number} amount
+     * @returns {number} Current health
+     */
+    takeDamage(amount) {
+        super.takeDamage(amount);
+
+        let phaseIndex = this.phaseIndex;
+        while (phaseIndex + 1 < this.phases.length &&
+            this.health <= this.maxHealth * this.phases[phaseIndex + 1].healthBelow) {
+            phaseIndex++;
+        }
+
+        if (phaseIndex !== this.phaseIndex && this.health > 0) {
+            this.phaseIndex = phaseIndex;
+            this.behavior = createBehavior(this.phases[phaseIndex].behavior, this.phases[phaseIndex].behaviorParams);
+            this.turnsInPhase = 0;
+            console.log(`${this.name} enters phase: ${this.phases[phaseIndex].name}!`);
+        }
+
+        return this.health;
+    }
+
+    /**
+     * Executes the boss's turn: wake up, act through the phase's strategy, then summon
+     * @param {Object} player - The player object
+     * @param {Room} room - The current room
+     * @returns {boolean} True if the boss moved or acted
+     */
+    takeTurn(player, room) {
+        if (!this.active) {
+            if (this.distanceTo(player.x, player.y) > this.activationRadius) return false;
+
+            console.log(`${this.name} awakens!`);
+            this.active = true;
+            return true;
+        }
+
+        const phase = this.phases[this.phaseIndex];
+        this.turnsInPhase++;
+
+        let acted = this.behavior.takeTurn(this, player, room).moved;
+
+        if (phase.summonEvery > 0 && this.turnsInPhase % phase.summonEvery === 0) {
+            acted = this.summonMinion(player, room) || acted;
+        }
+
+        return acted;
+    }
+
+    /**
+     * Summons an awake minion on a free cell next to the boss
+     * @param {Object} player - The player object
+     * @param {Room} room - The current room
+     * @returns {boolean} True if a minion was summoned
+     */
+    summonMinion(player, room) {
+        const candidates = [];
+        for (let y = this.y - 1; y <= this.y + this.size; y++) {
+            for (let x = this.x - 1; x <= this.x + this.size; x++) {
+                if (this.distanceTo(x, y) !== 1) continue;
+                if (x === player.x && y === player.y) continue;
+                if (room.canEnemyEnter(x, y) && !room.hasEntityAt(x, y)) {
+                    candidates.push({ x, y });
+                }
+            }
+        }
+        if (candidates.length === 0) return false;
+
+        const cell = room.playRng.pick(candidates);
+        const minion = createEnemy(ENEMY_KINDS[this.minionKind], cell.x, cell.y);
+        minion.active = true;
+        minion.behavior.active = true;
+
+        console.log(`${this.name} summons a minion!`);
+        room.revealCell(cell.x, cell.y);
+        room.addEntity('enemy', minion);
+        room.flashCell(cell.x, cell.y);
+        return true;
+    }
+
+    /**
+     * Renders the boss scaled up to its size
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {SpriteRenderer} renderer - Sprite renderer instance
+     * @param {number} cellSize - Size of each cell in pixels
+     * @param {number} offsetX - X offset for rendering (in pixels)
+     * @param {number} offsetY - Y offset for rendering (in pixels)
+     */
+    render(ctx, renderer, cellSize, offsetX = 0, offsetY = 0) {
+        const pixelX = offsetX + this.x * cellSize;
+        const pixelY = offsetY + this.y * cellSize;
+        const scale = cellSize * this.size / 10; // Assuming 10x10 pixel sprites
+
+        renderer.drawSprite(ctx, this.sprite, pixelX, pixelY, scale);
+        this.statusEffects.render(ctx, pixelX, pixelY, cellSize * this.size);
+    }
+}
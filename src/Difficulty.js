@@ -0,0 +1,24 @@
+// Difficulty presets
+// Each preset toggles optional rules for the whole run
+
+export const DIFFICULTY = {
+    NORMAL: {
+        name: 'Normal',
+        noGuess: true,     // Every room can be solved by deduction alone
+        showIntents: true  // Enemies show what they will do next
+    },
+    HARD: {
+        name: 'Hard',
+        noGuess: false,    // Forced guesses are allowed
+        showIntents: false // Enemy plans are left for the player to read
+    }
+};
+
+/**
+ * Looks up a difficulty preset by key (case-insensitive)
+ * @param {string|null} key - Preset key, e.g. 'hard'
+ * @returns {Object} The matching preset, or NORMAL if unknown
+ */
+export function getDifficulty(key) {
+    return (key && DIFFICULTY[key.toUpperCase()]) || DIFFICULTY.NORMAL;
+}
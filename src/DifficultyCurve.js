@@ -0,0 +1,104 @@
+// Depth-based difficulty curve
+// Keyframes are listed by depth; numeric values are interpolated between keyframes
+// and clamped past the last one (terrain shares per type too). Template pools come
+// from the latest keyframe reached; enemy kinds unlock by their own minDepth (see Enemy.js).
+
+export const DIFFICULTY_CURVE = [
+    {
+        depth: 1,
+        width: 16,
+        height: 16,
+        bombCount: 14,
+        enemyCount: 4,
+        coinCount: 5,
+        wallDensity: [0.25, 0.35],  // Min/max share of inner cells turned into walls
+        templateChance: 0,          // Chance for a room to use a handcrafted template
+        templates: [],              // Template names (assets/rooms) to pick from
+        // Special terrain: share of inner floor cells (cracked walls: share of inner walls)
+        terrain: { WATER: 0, SPIKES: 0, CRACKED_WALL: 0, PIT: 0 }
+    },
+    {
+        depth: 3,
+        width: 20,
+        height: 20,
+        bombCount: 25,
+        enemyCount: 8,
+        coinCount: 5,
+        wallDensity: [0.25, 0.40],
+        templateChance: 0.2,
+        templates: ['pillars'],
+        terrain: { WATER: 0.03, SPIKES: 0.01, CRACKED_WALL: 0.1, PIT: 0 }
+    },
+    {
+        depth: 6,
+        width: 20,
+        height: 20,
+        bombCount: 35,
+        enemyCount: 12,
+        coinCount: 6,
+        wallDensity: [0.20, 0.35],
+        templateChance: 0.25,
+        templates: ['pillars', 'vault'],
+        terrain: { WATER: 0.04, SPIKES: 0.02, CRACKED_WALL: 0.15, PIT: 0.003 }
+    },
+    {
+        depth: 10,
+        width: 22,
+        height: 22,
+        bombCount: 50,
+        enemyCount: 16,
+        coinCount: 7,
+        wallDensity: [0.15, 0.30],
+        templateChance: 0.25,
+        templates: ['pillars', 'vault'],
+        terrain: { WATER: 0.05, SPIKES: 0.03, CRACKED_WALL: 0.2, PIT: 0.005 }
+    }
+];
+
+// Handcrafted rooms pinned to a depth (used as the first room of that floor)
+export const SET_PIECE_ROOMS = {
+    1: 'tutorial'
+};
+
+// Every n-th floor ends in a boss room guarding the stairs
+export const BOSS_FLOOR_INTERVAL = 5;
+
+/**
+ * Gets the room settings for a depth
+ * @param {number} depth - Current depth (1 = first floor)
+ * @returns {{width: number, height: number, bombCount: number, enemyCount: number,
+ *            coinCount: number, wallDensity: number[],
+ *            templateChance: number, templates: string[], terrain: Object}}
+ */
+export function getDepthSettings(depth) {
+    const curve = DIFFICULTY_CURVE;
+
+    // Latest keyframe reached (the first one if depth is below it) and the one after it
+    let lowerIndex = 0;
+    for (let i = 0; i < curve.length; i++) {
+        if (curve[i].depth <= depth) lowerIndex = i;
+    }
+    const lower = curve[lowerIndex];
+    const upper = curve[Math.min(lowerIndex + 1, curve.length - 1)];
+
+    // Interpolation factor (0 at lower keyframe, 1 at upper keyframe)
+    const span = upper.depth - lower.depth;
+    const t = span > 0 ? Math.min(1, Math.max(0, (depth - lower.depth) / span)) : 0;
+    const lerp = (a, b) => a + (b - a) * t;
+
+    return {
+        width: Math.round(lerp(lower.width, upper.width)),
+        height: Math.round(lerp(lower.height, upper.height)),
+        bombCount: Math.round(lerp(lower.bombCount, upper.bombCount)),
+        enemyCount: Math.round(lerp(lower.enemyCount, upper.enemyCount)),
+        coinCount: Math.round(lerp(lower.coinCount, upper.coinCount)),
+        wallDensity: [
+            lerp(lower.wallDensity[0], upper.wallDensity[0]),
+            lerp(lower.wallDensity[1], upper.wallDensity[1])
+        ],
+        templateChance: lerp(lower.templateChance, upper.templateChance),
+        templates: [...lower.templates],
+        terrain: Object.fromEntries(Object.keys(lower.terrain)
+            .map(key => [key, lerp(lower.terrain[key], upper.terrain[key])]))
+    };
+}
@@ -2,41 +2,177 @@
 // Represents an enemy placed in the room grid
 
 import { SPRITES } from './rendering/spriteDefinitions.js';
-import { HorizontalChaseStrategy } from './ai/EnemyBehaviors.js';
+import { createBehavior, ENEMY_INTENT } from './ai/EnemyBehaviors.js';
+import { createIdleBehavior } from './ai/IdleBehaviors.js';
+import { SPEED } from './TurnScheduler.js';
+import { StatusEffects, STATUS_EFFECT } from './StatusEffects.js';
+
+/**
+ * Enemy kinds (archetypes) that rooms can spawn, declared as data
+ * - sprite: drawn for the enemy
+ * - health: hits it takes to defeat
+ * - damage: health the player loses when it strikes
+ * - attackEffect: { effect, turns } STATUS_EFFECT key put on the player when it strikes (optional)
+ * - speed: energy gained per tick, SPEED value (default: SPEED.NORMAL, one action per player action)
+ * - activationRadius: notices the player this close (in cells) if nothing blocks its line of sight
+ * - behavior / behaviorParams: BEHAVIORS class name in EnemyBehaviors.js and its constructor params
+ * - idle / idleParams: IDLE_BEHAVIORS class name in IdleBehaviors.js used until it wakes (default: stays put)
+ * - diesOnAttack: spent by its own attack (otherwise it stays and blocks the player's way once seen)
+ * - spawnWeight: relative chance of being picked when a room spawns an enemy
+ * - minDepth: first floor it can spawn on
+ * - hintType: HINT_COLORS category shown in hints (default: 'enemy')
+ */
+export const ENEMY_KINDS = {
+    HORIZONTAL: {
+        sprite: SPRITES.ENEMY,
+        health: 1,
+        damage: 1,
+        activationRadius: 2,
+        behavior: 'HorizontalChaseStrategy',
+        behaviorParams: {},
+        diesOnAttack: true,
+        spawnWeight: 3,
+        minDepth: 1
+    },
+    VERTICAL: {
+        sprite: SPRITES.ENEMY_2,
+        health: 1,
+        damage: 1,
+        activationRadius: 2,
+        behavior: 'VerticalChaseStrategy',
+        behaviorParams: {},
+        idle: 'PatrolIdle',
+        idleParams: { length: 3 },
+        diesOnAttack: true,
+        spawnWeight: 3,
+        minDepth: 3
+    },
+    // Plans its route around walls and visible bombs, guards coins while asleep, poisons
+    HUNTER: {
+        sprite: SPRITES.ENEMY_3,
+        health: 1,
+        damage: 1,
+        activationRadius: 4,
+        behavior: 'PathfindingChaseStrategy',
+        behaviorParams: { hiddenTileCost: 4 },
+        attackEffect: { effect: 'POISON', turns: 6 },
+        idle: 'GuardIdle',
+        idleParams: { radius: 2, moveChance: 0.5 },
+        diesOnAttack: true,
+        spawnWeight: 2,
+        minDepth: 6
+    },
+    // Stays put and shoots along rows and columns, slowly; its shots slow the player down
+    RANGED: {
+        sprite: SPRITES.ENEMY_RANGED,
+        health: 1,
+        damage: 1,
+        attackEffect: { effect: 'SLOW', turns: 2 },
+        activationRadius: 8,
+        speed: SPEED.SLOW,
+        behavior: 'RangedBehavior',
+        behaviorParams: {},
+        diesOnAttack: false,
+        spawnWeight: 2,
+        minDepth: 6,
+        hintType: 'ranged'
+    },
+    // Quickly moves bombs around under hidden tiles, wanders while asleep
+    SABOTEUR: {
+        sprite: SPRITES.ENEMY_SABOTEUR,
+        health: 1,
+        damage: 1,
+        activationRadius: 3,
+        speed: SPEED.FAST,
+        behavior: 'SaboteurBehavior',
+        behaviorParams: { bombs: 1, maxBombs: 2, plantChance: 0.5 },
+        idle: 'WanderIdle',
+        idleParams: { moveChance: 0.5 },
+        diesOnAttack: true,
+        spawnWeight: 1,
+        minDepth: 6
+    }
+};
+
+/**
+ * Creates an enemy of a kind
+ * @param {Object} kind - Entry of ENEMY_KINDS
+ * @param {number} x - Grid x coordinate
+ * @param {number} y - Grid y coordinate
+ * @returns {Enemy}
+ */
+export function createEnemy(kind, x, y) {
+    return new Enemy(x, y, kind);
+}
 
 export class Enemy {
     /**
      * Creates a new enemy
      * @param {number} x - Grid x coordinate
      * @param {number} y - Grid y coordinate
-     * @param {Object} behavior - AI Behavior Strategy (default: HorizontalChaseStrategy)
-     * @param {Object} sprite - Sprite definition (default: SPRITES.ENEMY)
+     * @param {Object} kind - Entry of ENEMY_KINDS (default: ENEMY_KINDS.HORIZONTAL)
      */
-    constructor(x, y, behavior = null, sprite = null) {
+    constructor(x, y, kind = ENEMY_KINDS.HORIZONTAL) {
         this.x = x;
         this.y = y;
         this.active = false;
 
-        // Default to Horizontal Strategy if none provided
-        this.behavior = behavior || new HorizontalChaseStrategy();
+        // AI behaviour strategy built from the kind's data
+        this.behavior = createBehavior(kind.behavior, kind.behaviorParams);
+        this.idleBehavior = createIdleBehavior(kind.idle, kind.idleParams);
 
-        // Default to standard enemy sprite if none provided
-        this.sprite = sprite || SPRITES.ENEMY;
+        this.sprite = kind.sprite;
         this.activeSprite = this.sprite;
+        this.hintType = kind.hintType || 'enemy';
+
+        this.maxHealth = kind.health;
+        this.health = kind.health;
+        this.damage = kind.damage;
+        this.attackEffect = kind.attackEffect || null;
+        this.activationRadius = kind.activationRadius;
+        this.diesOnAttack = kind.diesOnAttack;
 
-        this.health = 1;
+        this.speed = kind.speed || SPEED.NORMAL;  // Energy gained per tick (see TurnScheduler)
+        this.energy = 0;
+        this.statusEffects = new StatusEffects();
     }
 
     /**
-     * Reduces enemy health
+     * Reduces enemy health (nothing while shielded)
      * @param {number} amount
      * @returns {number} Current health
      */
     takeDamage(amount) {
+        if (this.statusEffects.blocksDamage()) return this.health;
         this.health -= amount;
         return this.health;
     }
 
+    /**
+     * @returns {number} Energy gained per tick, after haste and slow
+     */
+    getSpeed() {
+        return this.speed * this.statusEffects.getSpeedMultiplier();
+    }
+
+    /**
+     * Puts the enemy's attack effect (e.g. poison) on whoever it struck (shields block it too)
+     * @param {Object} target - The player (anything with statusEffects)
+     */
+    applyAttackEffect(target) {
+        if (!this.attackEffect || target.statusEffects.blocksDamage()) return;
+        target.statusEffects.add(STATUS_EFFECT[this.attackEffect.effect], this.attackEffect.turns);
+    }
+
+    /**
+     * Wakes the enemy up without waiting for it to notice the player (e.g. noise)
+     * @param {Room} room - The current room
+     */
+    wake(room) {
+        this.active = true;
+        if (this.behavior.wake) this.behavior.wake(this, room);
+    }
+
     /**
      * Executes the enemy's turn
      * @param {Object} player - The player object
@@ -51,6 +187,11 @@ export class Enemy {
             this.active = true;
         }
 
+        // Still asleep: move around under its idle behaviour, if it has one
+        if (!this.active && this.idleBehavior) {
+            return this.idleBehavior.takeTurn(this, player, room);
+        }
+
         return result.moved;
     }
 
@@ -68,5 +209,110 @@ export class Enemy {
         const scale = cellSize / 10; // Assuming 10x10 pixel sprites
 
         renderer.drawSprite(ctx, this.sprite, pixelX, pixelY, scale);
+        this.statusEffects.render(ctx, pixelX, pixelY, cellSize);
+    }
+
+    /**
+     * Renders what the enemy is about to do (e.g. a line of fire), if anything
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Room} room - The room the enemy is in
+     * @param {number} offsetX - X offset for rendering (in pixels)
+     * @param {number} offsetY - Y offset for rendering (in pixels)
+     */
+    renderTelegraph(ctx, room, offsetX = 0, offsetY = 0) {
+        if (!this.behavior.getTelegraphCells) return;
+
+        const cells = this.behavior.getTelegraphCells(this, room);
+        ctx.fillStyle = 'rgba(255, 0, 0, 0.35)';
+        cells.forEach(cell => {
+            ctx.fillRect(offsetX + cell.x * room.cellSize, offsetY + cell.y * room.cellSize, room.cellSize, room.cellSize);
+        });
+    }
+
+    /**
+     * Gets what the enemy plans to do on its next turn if the player stays put
+     * @param {Object} player - The player object
+     * @param {Room} room - The current room
+     * @returns {{type: string, x: number, y: number, turns?: number}|null} ENEMY_INTENT and target, or null
+     */
+    getIntent(player, room) {
+        if (!this.behavior.getIntent) return null;
+        return this.behavior.getIntent(this, player, room);
+    }
+
+    /**
+     * Renders the enemy's intent: an arrow towards its next tile, a target on the
+     * tile it will strike, or a countdown on the hidden tile it is about to break
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} intent - Result of getIntent
+     * @param {Room} room - The room the enemy is in
+     * @param {number} offsetX - X offset for rendering (in pixels)
+     * @param {number} offsetY - Y offset for rendering (in pixels)
+     */
+    renderIntent(ctx, intent, room, offsetX = 0, offsetY = 0) {
+        const cellSize = room.cellSize;
+        const size = this.size || 1;
+        const targetX = offsetX + intent.x * cellSize;
+        const targetY = offsetY + intent.y * cellSize;
+
+        ctx.save();
+
+        switch (intent.type) {
+            case ENEMY_INTENT.MOVE: {
+                // Arrow from the middle of the enemy towards the middle of where it is going
+                const fromX = offsetX + (this.x + size / 2) * cellSize;
+                const fromY = offsetY + (this.y + size / 2) * cellSize;
+                const toX = targetX + size * cellSize / 2;
+                const toY = targetY + size * cellSize / 2;
+                const angle = Math.atan2(toY - fromY, toX - fromX);
+                const tipX = fromX + Math.cos(angle) * cellSize * 0.9;
+                const tipY = fromY + Math.sin(angle) * cellSize * 0.9;
+                const head = cellSize / 5;
+
+                ctx.strokeStyle = 'rgba(255, 200, 0, 0.9)';
+                ctx.fillStyle = 'rgba(255, 200, 0, 0.9)';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(fromX + Math.cos(angle) * cellSize * 0.4, fromY + Math.sin(angle) * cellSize * 0.4);
+                ctx.lineTo(tipX, tipY);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(tipX, tipY);
+                ctx.lineTo(tipX - Math.cos(angle - 0.5) * head, tipY - Math.sin(angle - 0.5) * head);
+                ctx.lineTo(tipX - Math.cos(angle + 0.5) * head, tipY - Math.sin(angle + 0.5) * head);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case ENEMY_INTENT.ATTACK:
+                // Crosshair on the tile about to be hit
+                ctx.strokeStyle = 'rgba(255, 40, 40, 0.9)';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(targetX + 2, targetY + 2, cellSize - 4, cellSize - 4);
+                ctx.beginPath();
+                ctx.arc(targetX + cellSize / 2, targetY + cellSize / 2, cellSize / 4, 0, Math.PI * 2);
+                ctx.stroke();
+                break;
+            case ENEMY_INTENT.BREAK:
+                // Dashed outline and the turns left before the tile is broken
+                ctx.strokeStyle = 'rgba(255, 140, 0, 0.9)';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([4, 3]);
+                ctx.strokeRect(targetX + 2, targetY + 2, cellSize - 4, cellSize - 4);
+                ctx.setLineDash([]);
+
+                ctx.beginPath();
+                ctx.arc(targetX + cellSize - 7, targetY + 7, 7, 0, Math.PI * 2);
+                ctx.fillStyle = 'rgba(255, 140, 0, 0.9)';
+                ctx.fill();
+                ctx.font = '8px "Press Start 2P"';
+                ctx.fillStyle = 'black';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(String(intent.turns), targetX + cellSize - 7, targetY + 8);
+                break;
+        }
+
+        ctx.restore();
     }
 }
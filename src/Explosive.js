@@ -0,0 +1,59 @@
+// Explosive entity class
+// A charge placed by the player that goes off after a few turns (see Room.explode).
+// It is not hidden and hints do not count it.
+
+import { SPRITES } from './rendering/spriteDefinitions.js';
+
+export class Explosive {
+    /**
+     * Creates a new lit explosive
+     * @param {number} x - Grid x coordinate
+     * @param {number} y - Grid y coordinate
+     * @param {number} fuse - Turns until it goes off
+     * @param {number} radius - Blast radius in cells (square area)
+     */
+    constructor(x, y, fuse, radius) {
+        this.x = x;
+        this.y = y;
+        this.fuse = fuse;
+        this.radius = radius;
+        this.sprite = SPRITES.BOMB;
+    }
+
+    /**
+     * Burns the fuse down by one turn
+     * @returns {boolean} True if it goes off now
+     */
+    tick() {
+        this.fuse--;
+        return this.fuse <= 0;
+    }
+
+    /**
+     * Renders the explosive with its turns left
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {SpriteRenderer} renderer - Sprite renderer instance
+     * @param {number} cellSize - Size of each cell in pixels
+     * @param {number} offsetX - X offset for rendering (in pixels)
+     * @param {number} offsetY - Y offset for rendering (in pixels)
+     */
+    render(ctx, renderer, cellSize, offsetX = 0, offsetY = 0) {
+        const pixelX = offsetX + this.x * cellSize;
+        const pixelY = offsetY + this.y * cellSize;
+        const scale = cellSize / 10; // Assuming 10x10 pixel sprites
+
+        renderer.drawSprite(ctx, this.sprite, pixelX, pixelY, scale);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(pixelX + cellSize - 7, pixelY + 7, 7, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(255, 60, 0, 0.9)';
+        ctx.fill();
+        ctx.font = '8px "Press Start 2P"';
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(this.fuse), pixelX + cellSize - 7, pixelY + 8);
+        ctx.restore();
+    }
+}
@@ -1,5 +1,7 @@
 // Flag entity class
-// Represents a flag placed on a hidden tile to mark it as dangerous or safe
+// Represents a flag placed on a hidden tile to mark it as dangerous.
+// Regular flags all look the same and are only checked at the stairs; oracle
+// flags show right away whether a bomb is underneath.
 
 import { SPRITES } from './rendering/spriteDefinitions.js';
 
@@ -9,12 +11,19 @@ export class Flag {
      * @param {number} x - Grid x coordinate
      * @param {number} y - Grid y coordinate
      * @param {boolean} isDanger - True if placed on a bomb tile
+     * @param {boolean} isOracle - True if the flag shows whether it is on a bomb (default: false)
      */
-    constructor(x, y, isDanger) {
+    constructor(x, y, isDanger, isOracle = false) {
         this.x = x;
         this.y = y;
         this.isDanger = isDanger;
-        this.sprite = isDanger ? SPRITES.FLAG_DANGER : SPRITES.FLAG_SAFE;
+        this.isOracle = isOracle;
+
+        if (isOracle) {
+            this.sprite = isDanger ? SPRITES.FLAG_DANGER : SPRITES.FLAG_SAFE;
+        } else {
+            this.sprite = SPRITES.FLAG;
+        }
     }
 
     /**
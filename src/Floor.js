@@ -0,0 +1,202 @@
+// Floor class for dungeon layout
+// A floor is a graph of rooms laid out on a small map and linked door to door.
+// The last room of the main path holds the stairs down to the next floor.
+
+import { SIDE, OPPOSITE_SIDE } from './Room.js';
+
+// Map offset of the neighbouring room on each side
+const SIDE_OFFSETS = {
+    [SIDE.TOP]: { dx: 0, dy: -1 },
+    [SIDE.RIGHT]: { dx: 1, dy: 0 },
+    [SIDE.BOTTOM]: { dx: 0, dy: 1 },
+    [SIDE.LEFT]: { dx: -1, dy: 0 }
+};
+
+const ALL_SIDES = [SIDE.TOP, SIDE.RIGHT, SIDE.BOTTOM, SIDE.LEFT];
+
+export class Floor {
+    /**
+     * Creates and generates a new floor
+     * @param {Random} rng - Seeded random generator (shared with the rooms)
+     * @param {number} pathLength - Number of rooms from the first room to the stairs room
+     * @param {number} branchCount - Number of dead-end side rooms hanging off the main path
+     * @param {Function} createRoom - Factory (entranceSide, exitSides, index, isStairsRoom) => Room,
+     *                              index 0 is the first room
+     */
+    constructor(rng, pathLength, branchCount, createRoom) {
+        this.rng = rng;
+        this.pathLength = Math.max(1, pathLength);
+        this.branchCount = branchCount;
+        this.createRoom = createRoom;
+
+        // Map nodes: { mx, my, entranceSide, exitSides, parent, room, visited }
+        this.nodes = [];
+
+        this.startRoom = null;
+        this.stairsRoom = null;
+        this.currentRoom = null;
+
+        this.generate();
+    }
+
+    /**
+     * Lays out the room map, creates the rooms and links their doors
+     */
+    generate() {
+        // First room, entered from a random side that leads nowhere
+        const root = this.addNode(0, 0, this.rng.pick(ALL_SIDES), null);
+
+        // Main path (random walk without overlaps)
+        let current = root;
+        for (let i = 1; i < this.pathLength; i++) {
+            const side = this.pickFreeSide(current);
+            if (!side) break;
+            current = this.addChild(current, side);
+        }
+
+        // Stairs room: the end of the main path gets an unlinked exit
+        const stairsNode = current;
+        const mainPath = [...this.nodes];
+        stairsNode.exitSides.push(this.rng.pick(this.getUnusedSides(stairsNode)));
+
+        // Dead-end branches off the main path (never off the stairs room)
+        for (let i = 0; i < this.branchCount; i++) {
+            const candidates = mainPath.filter(node => node !== stairsNode && this.getFreeSides(node).length > 0);
+            if (candidates.length === 0) break;
+
+            const parent = this.rng.pick(candidates);
+            this.addChild(parent, this.rng.pick(this.getFreeSides(parent)));
+        }
+
+        // Build rooms in creation order so generation stays reproducible
+        this.nodes.forEach((node, index) => {
+            node.room = this.createRoom(node.entranceSide, node.exitSides, index, node === stairsNode);
+        });
+
+        // Link doors both ways
+        this.nodes.forEach(node => {
+            if (!node.parent) return;
+            const parentSide = OPPOSITE_SIDE[node.entranceSide];
+            node.room.linkDoor(node.entranceSide, node.parent.room, parentSide);
+            node.parent.room.linkDoor(parentSide, node.room, node.entranceSide);
+        });
+
+        this.startRoom = root.room;
+        this.stairsRoom = stairsNode.room;
+        this.currentRoom = this.startRoom;
+        root.visited = true;
+    }
+
+    /**
+     * Adds a node to the map
+     * @returns {Object} The new node
+     */
+    addNode(mx, my, entranceSide, parent) {
+        const node = { mx, my, entranceSide, exitSides: [], parent, room: null, visited: false };
+        this.nodes.push(node);
+        return node;
+    }
+
+    /**
+     * Adds a room next to a node, connected through the given side
+     * @param {Object} parent - Parent node
+     * @param {string} side - Side of the parent the new room is on
+     * @returns {Object} The new node
+     */
+    addChild(parent, side) {
+        const { dx, dy } = SIDE_OFFSETS[side];
+        parent.exitSides.push(side);
+        return this.addNode(parent.mx + dx, parent.my + dy, OPPOSITE_SIDE[side], parent);
+    }
+
+    /**
+     * Sides of a node not yet used by its entrance or exits
+     * @param {Object} node
+     * @returns {string[]}
+     */
+    getUnusedSides(node) {
+        return ALL_SIDES.filter(side => side !== node.entranceSide && !node.exitSides.includes(side));
+    }
+
+    /**
+     * Unused sides of a node whose neighbouring map cell is still empty
+     * @param {Object} node
+     * @returns {string[]}
+     */
+    getFreeSides(node) {
+        return this.getUnusedSides(node).filter(side => {
+            const { dx, dy } = SIDE_OFFSETS[side];
+            return !this.getNodeAt(node.mx + dx, node.my + dy);
+        });
+    }
+
+    /**
+     * Picks a random free side of a node
+     * @param {Object} node
+     * @returns {string|null}
+     */
+    pickFreeSide(node) {
+        const sides = this.getFreeSides(node);
+        return sides.length > 0 ? this.rng.pick(sides) : null;
+    }
+
+    getNodeAt(mx, my) {
+        return this.nodes.find(node => node.mx === mx && node.my === my) || null;
+    }
+
+    getNodeForRoom(room) {
+        return this.nodes.find(node => node.room === room) || null;
+    }
+
+    /**
+     * Moves through the linked door on a side of the current room
+     * @param {string} side - Side of the current room the player left through
+     * @returns {{x: number, y: number}|null} Arrival position in the new current room
+     */
+    travel(side) {
+        const link = this.currentRoom.links[side];
+        if (!link) return null;
+
+        this.currentRoom = link.room;
+        this.getNodeForRoom(link.room).visited = true;
+
+        return link.room.getDoorPosition(link.side);
+    }
+
+    /**
+     * Renders a minimap of visited rooms
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} centerX - X center of the minimap (in pixels)
+     * @param {number} topY - Top of the minimap (in pixels)
+     * @param {number} size - Size of one room square (in pixels)
+     */
+    renderMinimap(ctx, centerX, topY, size) {
+        const minX = Math.min(...this.nodes.map(node => node.mx));
+        const maxX = Math.max(...this.nodes.map(node => node.mx));
+        const minY = Math.min(...this.nodes.map(node => node.my));
+        const gap = 2;
+        const startX = centerX - ((maxX - minX + 1) * (size + gap)) / 2;
+
+        this.nodes.forEach(node => {
+            // Show visited rooms, and unvisited rooms next to them as outlines
+            const known = node.visited || (node.parent && node.parent.visited) ||
+                this.nodes.some(other => other.parent === node && other.visited);
+            if (!known) return;
+
+            const px = startX + (node.mx - minX) * (size + gap);
+            const py = topY + (node.my - minY) * (size + gap);
+
+            if (node.visited) {
+                ctx.fillStyle = node.room === this.currentRoom ? '#ffffff' : '#666666';
+                ctx.fillRect(px, py, size, size);
+                if (node.room === this.stairsRoom) {
+                    ctx.fillStyle = '#ffcc00';
+                    ctx.fillRect(px + size / 4, py + size / 4, size / 2, size / 2);
+                }
+            } else {
+                ctx.strokeStyle = '#666666';
+                ctx.strokeRect(px + 0.5, py + 0.5, size - 1, size - 1);
+            }
+        });
+    }
+}
@@ -0,0 +1,459 @@
+// Game simulation (no DOM, canvas or audio)
+// Holds the state of a run and resolves player turns. game.js feeds it input,
+// renders its state and turns its events into sounds and effects, so the same
+// simulation can run headless under Node.
+
+import { PLAYER_MOVE_RESULT, Room } from './Room.js';
+import { Floor } from './Floor.js';
+import { Player } from './Player.js';
+import { Random } from './Random.js';
+import { TurnScheduler } from './TurnScheduler.js';
+import { DIFFICULTY } from './Difficulty.js';
+import { HINT_MODE } from './HintMode.js';
+import { getDepthSettings, SET_PIECE_ROOMS, BOSS_FLOOR_INTERVAL } from './DifficultyCurve.js';
+import { BOSS_KINDS } from './Boss.js';
+import { pickRoomTemplate } from './RoomTemplates.js';
+import { FlagItem, ProbeItem, DetectorItem, SonarItem, ShieldItem, HasteItem, ExplosiveItem } from './items/Items.js';
+
+// Events emitted by the session for the presentation layer
+export const GAME_EVENT = {
+    PLAYER_MOVED: 'PLAYER_MOVED',
+    COIN_COLLECTED: 'COIN_COLLECTED',
+    ITEM_FOUND: 'ITEM_FOUND',
+    PLAYER_DAMAGED: 'PLAYER_DAMAGED',
+    ITEM_USED: 'ITEM_USED',
+    TILES_REVEALED: 'TILES_REVEALED',
+    FLAGS_RESOLVED: 'FLAGS_RESOLVED',
+    TILES_FLASHED: 'TILES_FLASHED',
+    EXPLOSION: 'EXPLOSION',
+    GAME_OVER: 'GAME_OVER'
+};
+
+// Floor layout: rooms from the start to the stairs, plus dead-end side rooms
+const FLOOR_PATH_LENGTH = 3;
+const FLOOR_BRANCH_COUNT = 1;
+
+// Boss rooms leave space to fight: few inner walls and no other enemies
+const BOSS_ROOM_WALL_DENSITY = [0.05, 0.1];
+
+// Shop stock: price in coins and the item bought (stacks onto the carried one)
+export const SHOP_ITEMS = {
+    FLAG: { price: 20, create: () => new FlagItem(1) },
+    ORACLE_FLAG: { price: 50, create: () => new FlagItem(1, true) },
+    PROBE: { price: 15, create: () => new ProbeItem(1) },
+    DETECTOR: { price: 25, create: () => new DetectorItem(1) },
+    SONAR: { price: 40, create: () => new SonarItem(1) },
+    SHIELD: { price: 35, create: () => new ShieldItem(1) },
+    HASTE: { price: 30, create: () => new HasteItem(1) },
+    EXPLOSIVE: { price: 30, create: () => new ExplosiveItem(1) }
+};
+
+// Coins sometimes hide an item: chance per coin and relative weights
+const LOOT_CHANCE = 0.2;
+const LOOT_ITEMS = [
+    { weight: 3, create: () => new ProbeItem(1) },
+    { weight: 2, create: () => new DetectorItem(1) },
+    { weight: 1, create: () => new SonarItem(1) },
+    { weight: 1, create: () => new ShieldItem(1) },
+    { weight: 1, create: () => new HasteItem(1) },
+    { weight: 1, create: () => new ExplosiveItem(1) }
+];
+
+// What regular flags are worth when checked at the stairs
+const FLAG_REWARD = 5;    // Coins per correct flag (the flag itself is refunded too)
+const FLAG_PENALTY = 10;  // Coins lost per flag on a tile without a bomb
+
+export class GameSession {
+    /**
+     * Creates a new game session (call startNewGame to begin a run)
+     * @param {Object} options
+     * @param {Object} options.difficulty - Difficulty preset (default: DIFFICULTY.NORMAL)
+     * @param {Object} options.hintMode - What hint tiles count and show (default: HINT_MODE.COMBINED)
+     * @param {Map<string, Object>} options.roomTemplates - Loaded room templates by name (default: none)
+     */
+    constructor(options = {}) {
+        this.difficulty = options.difficulty || DIFFICULTY.NORMAL;
+        this.hintMode = options.hintMode || HINT_MODE.COMBINED;
+        this.roomTemplates = options.roomTemplates || new Map();
+
+        this.floor = null;        // Current floor (graph of linked rooms)
+        this.currentRoom = null;  // Room the player is in
+        this.player = null;
+        this.gameOver = false;
+        this.coins = 0;
+        this.depth = 1;    // Current floor number (drives the difficulty curve)
+        this.seed = null;  // Seed string of the current run
+        this.rng = null;   // Seeded random generator shared by every room of the run
+        this.playRng = null;  // Seeded random generator for gameplay (enemy moves, summons, idling, loot), apart from rng
+        this.intents = new Map();  // What each enemy of the current room plans to do next (see updateIntents)
+        this.scheduler = new TurnScheduler();  // Decides when enemies act between player actions
+
+        // Event listeners by GAME_EVENT
+        this.listeners = {};
+    }
+
+    /**
+     * Registers a listener for a session event
+     * @param {string} event - GAME_EVENT value
+     * @param {Function} listener - Called with the event data
+     */
+    on(event, listener) {
+        if (!this.listeners[event]) this.listeners[event] = [];
+        this.listeners[event].push(listener);
+    }
+
+    emit(event, data = {}) {
+        (this.listeners[event] || []).forEach(listener => listener(data));
+    }
+
+    /**
+     * Starts a new run
+     * @param {string|null} seed - Seed string for the run (a random one is picked if empty)
+     */
+    startNewGame(seed = null) {
+        // Reset Game State
+        this.gameOver = false;
+        this.coins = 0;
+        this.depth = 1;
+        this.rng = new Random(seed || Random.randomSeed());
+        this.seed = this.rng.seed;
+        this.playRng = new Random(`${this.seed}:play`);
+
+        console.log(`Starting new game with seed ${this.seed}...`);
+
+        this.floor = this.createFloor();
+        this.currentRoom = this.floor.currentRoom;
+
+        // Create player at entrance
+        const entrance = this.currentRoom.entrancePos;
+        this.player = new Player(entrance.x, entrance.y);
+
+        // Trigger initial room logic for player start position
+        this.currentRoom.onPlayerEnter(this.player.x, this.player.y);
+        this.updateIntents();
+    }
+
+    /**
+     * Generates a new floor of linked rooms for the current depth
+     * @returns {Floor}
+     */
+    createFloor() {
+        const settings = getDepthSettings(this.depth);
+
+        // Room sizes and entity counts follow the difficulty curve (or the template), 30px per cell
+        return new Floor(this.rng, FLOOR_PATH_LENGTH, FLOOR_BRANCH_COUNT, (entranceSide, exitSides, index, isStairsRoom) => {
+            const options = {
+                noGuess: this.difficulty.noGuess,
+                hintMode: this.hintMode,
+                exitSides,
+                depth: this.depth,
+                wallDensity: settings.wallDensity,
+                terrain: settings.terrain,
+                playRng: this.playRng
+            };
+
+            if (isStairsRoom && this.depth % BOSS_FLOOR_INTERVAL === 0) {
+                return new Room(settings.width, settings.height, 30, entranceSide,
+                    settings.bombCount, 0, settings.coinCount, this.rng,
+                    { ...options, wallDensity: BOSS_ROOM_WALL_DENSITY, boss: BOSS_KINDS.TREANT });
+            }
+
+            const template = this.chooseRoomTemplate(settings, entranceSide, exitSides, index);
+            if (template) {
+                return new Room(template.width, template.height, 30, entranceSide,
+                    template.bombCount, template.enemyCount, template.coinCount, this.rng, { ...options, template });
+            }
+
+            return new Room(settings.width, settings.height, 30, entranceSide,
+                settings.bombCount, settings.enemyCount, settings.coinCount, this.rng, options);
+        });
+    }
+
+    /**
+     * Decides whether a room of the floor uses a handcrafted template
+     * @param {Object} settings - Depth settings from the difficulty curve
+     * @param {string} entranceSide
+     * @param {string[]} exitSides
+     * @param {number} index - Index of the room in the floor (0 = first room)
+     * @returns {Object|null} The template to use, or null for a procedural room
+     */
+    chooseRoomTemplate(settings, entranceSide, exitSides, index) {
+        // Set pieces (e.g. the tutorial) replace the first room of their depth
+        const setPiece = SET_PIECE_ROOMS[this.depth];
+        if (index === 0 && setPiece) {
+            const template = pickRoomTemplate(this.rng, this.roomTemplates, [setPiece], entranceSide, exitSides);
+            if (template) return template;
+        }
+
+        if (settings.templates.length > 0 && this.rng.chance(settings.templateChance)) {
+            return pickRoomTemplate(this.rng, this.roomTemplates, settings.templates, entranceSide, exitSides);
+        }
+
+        return null;
+    }
+
+    startNextLevel() {
+        this.resolveFlags();
+        this.depth++;
+        this.floor = this.createFloor();
+        this.currentRoom = this.floor.currentRoom;
+        const entrance = this.currentRoom.entrancePos;
+        this.player.setPlayerPosition(entrance.x, entrance.y, this.currentRoom);
+        this.currentRoom.onPlayerEnter(this.player.x, this.player.y);
+    }
+
+    /**
+     * Checks the regular flags left on the floor: correct ones are refunded and
+     * rewarded, wrong ones cost coins
+     */
+    resolveFlags() {
+        let correct = 0;
+        let wrong = 0;
+
+        this.floor.nodes.forEach(node => {
+            const result = node.room.resolveFlags();
+            correct += result.correct;
+            wrong += result.wrong;
+        });
+
+        this.rewardFlags(correct, wrong);
+    }
+
+    /**
+     * Refunds and rewards correct regular flags and charges for wrong ones
+     * @param {number} correct - Flags that were on a bomb
+     * @param {number} wrong - Flags that were not
+     */
+    rewardFlags(correct, wrong) {
+        if (correct === 0 && wrong === 0) return;
+
+        this.player.inventory.addCharges('flag', correct);
+        const coins = correct * FLAG_REWARD - wrong * FLAG_PENALTY;
+        this.coins = Math.max(0, this.coins + coins);
+
+        console.log(`Flags checked: ${correct} correct, ${wrong} wrong (${coins >= 0 ? '+' : ''}${coins} coins)`);
+        this.emit(GAME_EVENT.FLAGS_RESOLVED, { correct, wrong, coins: this.coins });
+    }
+
+    /**
+     * Walks through the door the player is standing on into the linked room.
+     * Rooms keep their state, so backtracking shows them exactly as they were left.
+     */
+    goThroughDoor() {
+        const side = this.currentRoom.getDoorSideAt(this.player.x, this.player.y);
+        const arrival = this.floor.travel(side);
+        if (!arrival) return;
+
+        this.currentRoom = this.floor.currentRoom;
+        this.player.setPlayerPosition(arrival.x, arrival.y, this.currentRoom);
+        this.currentRoom.onPlayerEnter(this.player.x, this.player.y);
+    }
+
+    /**
+     * Selects the next item on the hotbar (free action)
+     */
+    cycleItem() {
+        this.player.inventory.cycle();
+    }
+
+    /**
+     * Selects the item in a hotbar slot (free action)
+     * @param {number} index - Slot (0-based)
+     */
+    selectItem(index) {
+        this.player.inventory.select(index);
+    }
+
+    /**
+     * Buys an item from the shop (free action)
+     * @param {Object} shopItem - SHOP_ITEMS value
+     * @returns {boolean} True if the item was bought
+     */
+    buyItem(shopItem) {
+        const item = shopItem.create();
+        if (this.coins < shopItem.price) {
+            console.log(`Not enough coins to buy a ${item.name} (need ${shopItem.price})`);
+            return false;
+        }
+
+        this.coins -= shopItem.price;
+        this.player.inventory.add(item);
+        console.log(`Bought a ${item.name}!`);
+        return true;
+    }
+
+    /**
+     * Moves the player and, if that took a turn, lets the enemies act
+     * @param {number} dx - Change in x (-1, 0, 1)
+     * @param {number} dy - Change in y (-1, 0, 1)
+     * @returns {boolean} True if a turn was taken
+     */
+    movePlayer(dx, dy) {
+        if (this.gameOver || !this.player.move(dx, dy, this.currentRoom)) return false;
+
+        const steppedOn = this.currentRoom.getEntityAt(this.player.x, this.player.y);
+        const playerEnterResultState = this.currentRoom.onPlayerEnter(this.player.x, this.player.y);
+        if (playerEnterResultState === PLAYER_MOVE_RESULT.INVALID) return false;
+
+        switch (playerEnterResultState) {
+            case PLAYER_MOVE_RESULT.REACHED_EXIT:
+                console.log("We have reached exit");
+                this.startNextLevel();
+                break;
+            case PLAYER_MOVE_RESULT.REACHED_DOOR:
+                this.goThroughDoor();
+                break;
+            case PLAYER_MOVE_RESULT.NORMAL:
+                this.emit(GAME_EVENT.PLAYER_MOVED);
+                break;
+            case PLAYER_MOVE_RESULT.COIN:
+                this.coins += 10;
+                this.emit(GAME_EVENT.COIN_COLLECTED, { coins: this.coins });
+                this.rollLoot();
+                break;
+            case PLAYER_MOVE_RESULT.ENEMY:
+                this.damagePlayer(steppedOn.entity.damage);
+                // An enemy that survives its own attack keeps its cell, so the player is pushed back
+                if (this.currentRoom.enemies.includes(steppedOn.entity)) {
+                    this.player.setPlayerPosition(this.player.x - dx, this.player.y - dy, this.currentRoom);
+                }
+                break;
+            case PLAYER_MOVE_RESULT.BOMB:
+            case PLAYER_MOVE_RESULT.SPIKES:
+                this.damagePlayer(1);
+                break;
+            case PLAYER_MOVE_RESULT.PIT:
+                console.log("Fell into a pit!");
+                this.startNextLevel();
+                break;
+        }
+
+        this.endTurn();
+        return true;
+    }
+
+    /**
+     * Uses the selected hotbar item towards a direction
+     * @param {number} dx - Direction x (-1, 0, 1)
+     * @param {number} dy - Direction y (-1, 0, 1)
+     * @returns {boolean} True if a turn was taken
+     */
+    useSelectedItem(dx, dy) {
+        if (this.gameOver) return false;
+
+        const item = this.player.inventory.getSelected();
+        if (!item || !item.use({ dx, dy }, this.currentRoom, this.player)) return false;
+
+        this.emit(GAME_EVENT.ITEM_USED, { item, x: this.player.x + dx, y: this.player.y + dy });
+        this.player.inventory.removeEmpty();
+
+        this.endTurn();
+        return true;
+    }
+
+    /**
+     * Chords a revealed hint tile next to (or under) the player, revealing every
+     * unflagged hidden neighbour at once. Wrong flags hurt like stepping on the tiles.
+     * @param {number} dx - Offset of the hint tile from the player (-1, 0, 1)
+     * @param {number} dy - Offset of the hint tile from the player (-1, 0, 1)
+     * @returns {boolean} True if a turn was taken
+     */
+    chord(dx, dy) {
+        if (this.gameOver) return false;
+
+        const result = this.currentRoom.chord(this.player.x + dx, this.player.y + dy);
+        if (!result) return false;
+
+        this.emit(GAME_EVENT.TILES_REVEALED, { count: result.revealed });
+
+        const hits = result.bombs + result.enemyDamage;
+        if (hits > 0) {
+            this.damagePlayer(hits);
+        }
+
+        this.endTurn();
+        return true;
+    }
+
+    /**
+     * Maybe finds an item along with a coin
+     */
+    rollLoot() {
+        if (!this.playRng.chance(LOOT_CHANCE)) return;
+
+        const loot = this.playRng.pickWeighted(LOOT_ITEMS, LOOT_ITEMS.map(entry => entry.weight));
+        const item = loot.create();
+        this.player.inventory.add(item);
+
+        console.log(`Found a ${item.name}!`);
+        this.emit(GAME_EVENT.ITEM_FOUND, { item });
+    }
+
+    /**
+     * Deals damage to the player and notifies listeners (nothing while shielded)
+     * @param {number} amount
+     */
+    damagePlayer(amount) {
+        if (this.player.statusEffects.blocksDamage()) {
+            console.log('Shield blocked the hit!');
+            return;
+        }
+        const remainingHealth = this.player.takeDamage(amount);
+        console.log(`Hit! Health: ${remainingHealth}`);
+        this.emit(GAME_EVENT.PLAYER_DAMAGED, { amount, health: remainingHealth });
+    }
+
+    /**
+     * Sets off explosives whose fuse ran out, hands the turn to the scheduler (enemies
+     * act until the player is ready again) and checks for game over, run after every player action
+     */
+    endTurn() {
+        if (this.player.health > 0) {
+            // Lit explosives burn down on every player action
+            this.currentRoom.tickExplosives(this.player).forEach(explosion => {
+                this.emit(GAME_EVENT.EXPLOSION, { cells: explosion.cells });
+                this.rewardFlags(explosion.correctFlags, explosion.wrongFlags);
+                if (explosion.playerHit) this.damagePlayer(1);
+            });
+        }
+
+        if (this.player.health > 0) {
+            const healthBefore = this.player.health;
+            this.scheduler.endPlayerTurn(this.player, this.currentRoom);
+
+            if (this.player.health < healthBefore) {
+                this.emit(GAME_EVENT.PLAYER_DAMAGED, {
+                    amount: healthBefore - this.player.health,
+                    health: this.player.health
+                });
+            }
+
+            // Tiles changed by enemies (e.g. bombs planted by saboteurs)
+            const flashedCells = this.currentRoom.takeFlashedCells();
+            if (flashedCells.length > 0) {
+                this.emit(GAME_EVENT.TILES_FLASHED, { cells: flashedCells });
+            }
+        }
+
+        // --- Game State Check ---
+        if (this.player.health <= 0 && !this.gameOver) {
+            this.gameOver = true;
+            console.log("Game Over!");
+            this.emit(GAME_EVENT.GAME_OVER);
+        }
+
+        this.updateIntents();
+    }
+
+    /**
+     * Works out what every enemy of the current room plans to do next. Done once per
+     * turn so the renderer never runs path finding itself.
+     */
+    updateIntents() {
+        this.intents = new Map();
+        this.currentRoom.enemies.forEach(enemy => {
+            const intent = enemy.getIntent(this.player, this.currentRoom);
+            if (intent) this.intents.set(enemy, intent);
+        });
+    }
+}
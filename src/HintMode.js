@@ -0,0 +1,48 @@
+// Hint modes
+// Each mode decides which entities a hint tile counts and how the hint is drawn.
+// Room.calculateHints, Room.render and the NoGuessSolver all follow the room's mode.
+
+export const HINT_MODE = {
+    CLASSIC: {
+        name: 'Classic',
+        counted: ['bomb'],                  // Plain minesweeper: only bombs are counted
+        typed: false,
+        dots: false
+    },
+    TYPED: {
+        name: 'Typed',
+        counted: ['bomb', 'enemy', 'coin'],
+        typed: true,                        // One small count per entity type
+        dots: false
+    },
+    COMBINED: {
+        name: 'Combined',
+        counted: ['bomb', 'enemy', 'coin'],
+        typed: false,
+        dots: true                          // One number, coloured dot per type present
+    },
+    HARD: {
+        name: 'Hard',
+        counted: ['bomb', 'enemy', 'coin'],
+        typed: false,
+        dots: false                         // One number, no clue about what it counts
+    }
+};
+
+// Colour of each hint category in dots and typed counts (drawn in this order)
+// Categories are entity types, except ranged enemies which get their own colour.
+export const HINT_COLORS = {
+    bomb: 'red',
+    enemy: 'green',
+    ranged: '#cc66ff',
+    coin: 'yellow'
+};
+
+/**
+ * Looks up a hint mode by key (case-insensitive)
+ * @param {string|null} key - Mode key, e.g. 'classic'
+ * @returns {Object} The matching mode, or COMBINED if unknown
+ */
+export function getHintMode(key) {
+    return (key && HINT_MODE[key.toUpperCase()]) || HINT_MODE.COMBINED;
+}
@@ -0,0 +1,9 @@
+// Noise levels
+// Loud actions wake sleeping enemies within this many cells (Chebyshev distance).
+// Sound goes through walls and hidden tiles, unlike sight. See Room.makeNoise.
+
+export const NOISE = {
+    ATTACK: 2,  // Swinging the sword, hit or miss
+    BREAK: 3,   // An enemy breaking a hidden tile open
+    BLAST: 4    // A bomb going off
+};
@@ -1,5 +1,9 @@
 import { SPRITES } from './rendering/spriteDefinitions.js';
-import { getSoundManager } from './Sound.js';
+import { NOISE } from './Noise.js';
+import { SPEED, ACTION_COST } from './TurnScheduler.js';
+import { StatusEffects } from './StatusEffects.js';
+import { Inventory } from './items/Inventory.js';
+import { SwordItem, FlagItem, AnnotateItem, ShieldItem, HasteItem } from './items/Items.js';
 
 export class Player {
     constructor(x, y) {
@@ -8,57 +12,44 @@ export class Player {
 
         this.health = 3;
 
-        this.equippedItem = 'sword';  // 'sword' or 'flag'
-        this.flagCount = 3;  // Start with 3 flags
-
-        this.isDamageFlashing = false  // Track damage flash effect
-    }
-
-    /**
-     * Toggles between sword and flag equipment
-     */
-    toggleEquip() {
-        this.equippedItem = this.equippedItem === 'sword' ? 'flag' : 'sword';
-        console.log(`Equipped: ${this.equippedItem}`);
-    }
-
-    /**
-     * Uses a flag (decrements count)
-     * @returns {boolean} True if flag was used, false if none available
-     */
-    useFlag() {
-        if (this.flagCount > 0) {
-            this.flagCount--;
-            return true;
-        }
-        return false;
-    }
-
-    /**
-     * Adds a flag to inventory
-     */
-    addFlag() {
-        this.flagCount++;
+        this.speed = SPEED.NORMAL;  // Energy gained per tick (see TurnScheduler)
+        this.energy = ACTION_COST;  // Starts ready to act
+        this.statusEffects = new StatusEffects();
+
+        // Hotbar: sword, 3 flags, oracle flags (bought in the shop), annotate mode, a shield and a haste potion
+        this.inventory = new Inventory([
+            new SwordItem(),
+            new FlagItem(3),
+            new FlagItem(0, true),
+            new AnnotateItem(),
+            new ShieldItem(1),
+            new HasteItem(1)
+        ]);
+
+        this.isDamageFlashing = false  // Damage flash effect (toggled by the presentation layer)
     }
 
     /**
-     * Reduces player health by the given amount
+     * Reduces player health by the given amount (nothing while shielded)
      * @param {number} amount 
      * @returns {number} Current health
      */
     takeDamage(amount) {
+        if (this.statusEffects.blocksDamage()) {
+            console.log('Shield blocked the hit!');
+            return this.health;
+        }
         this.health -= amount;
-        getSoundManager().playDamage();
-
-        // Trigger red flash effect
-        this.isDamageFlashing = true;
-        setTimeout(() => {
-            this.isDamageFlashing = false;
-        }, 250); // Flash for 0.5 seconds
-
         return this.health;
     }
 
+    /**
+     * @returns {number} Energy gained per tick, after haste and slow
+     */
+    getSpeed() {
+        return this.speed * this.statusEffects.getSpeedMultiplier();
+    }
+
     /**
      * Attempts to move the player
      * @param {number} dx - Change in x (-1, 0, 1)
@@ -107,6 +98,9 @@ export class Player {
         const targetX = this.x + dx;
         const targetY = this.y + dy;
 
+        // Swinging the sword is loud, hit or miss
+        room.makeNoise(this.x, this.y, NOISE.ATTACK);
+
         // Check for entity at target
         const entityObj = room.getEntityAt(targetX, targetY);
 
@@ -120,7 +114,6 @@ export class Player {
                 console.log("Enemy defeated!");
             }
         }
-        getSoundManager().playAttack();
         return true;
     }
 
@@ -152,8 +145,10 @@ export class Player {
 
 
             ctx.restore();
-            return;
+        } else {
+            renderer.drawSprite(ctx, SPRITES.PLAYER, pixelX, pixelY, scale);
         }
-        renderer.drawSprite(ctx, SPRITES.PLAYER, pixelX, pixelY, scale);
+
+        this.statusEffects.render(ctx, pixelX, pixelY, cellSize);
     }
 }
@@ -0,0 +1,103 @@
+// Seedable pseudo-random number generator
+// All level generation draws from one of these so a run can be replayed from its seed
+
+/**
+ * Hashes a seed string into a 32-bit unsigned integer (xmur3)
+ * @param {string} str - Seed string
+ * @returns {number}
+ */
+function hashSeed(str) {
+    let h = 1779033703 ^ str.length;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+export class Random {
+    /**
+     * Creates a new generator
+     * @param {string} seed - Seed string (a random one is picked if omitted)
+     */
+    constructor(seed = Random.randomSeed()) {
+        this.seed = String(seed);
+        this.state = hashSeed(this.seed);
+    }
+
+    /**
+     * Creates a short human-readable seed string
+     * @returns {string}
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString(36).toUpperCase();
+    }
+
+    /**
+     * Returns the next float in [0, 1) (mulberry32)
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns an integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number}
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Returns an integer in [min, max] (inclusive)
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.nextInt(max - min + 1);
+    }
+
+    /**
+     * Returns true with the given probability
+     * @param {number} probability - Value between 0 and 1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Picks a random element from an array
+     * @param {Array} array
+     * @returns {*} The picked element (undefined if array is empty)
+     */
+    pick(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Picks a random element from an array, with chances proportional to weights
+     * @param {Array} array
+     * @param {number[]} weights - Weight of each element (same length as array)
+     * @returns {*} The picked element (undefined if array is empty)
+     */
+    pickWeighted(array, weights) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let roll = this.next() * total;
+
+        for (let i = 0; i < array.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return array[i];
+        }
+        return array[array.length - 1];
+    }
+}
@@ -3,10 +3,18 @@
 
 import { SPRITES } from './rendering/spriteDefinitions.js';
 import { Bomb } from './Bomb.js';
-import { Enemy } from './Enemy.js';
+import { ENEMY_KINDS, createEnemy } from './Enemy.js';
+import { createBoss } from './Boss.js';
 import { Coin } from './Coin.js';
+import { Explosive } from './Explosive.js';
 import { Flag } from './Flag.js';
-import { HorizontalChaseStrategy, VerticalChaseStrategy } from './ai/EnemyBehaviors.js';
+import { Random } from './Random.js';
+import { NoGuessSolver } from './solver/NoGuessSolver.js';
+import { TERRAIN, TERRAIN_EFFECT, getTerrainType } from './Terrain.js';
+import { HINT_MODE, HINT_COLORS } from './HintMode.js';
+import { nextAnnotation, renderAnnotation } from './Annotation.js';
+import { NOISE } from './Noise.js';
+import { STATUS_EFFECT } from './StatusEffects.js';
 
 // Enum for sides of the room
 export const SIDE = {
@@ -16,11 +24,28 @@ export const SIDE = {
     LEFT: 'LEFT'
 };
 
+// Side facing each side (a door on one room's RIGHT leads to the next room's LEFT)
+export const OPPOSITE_SIDE = {
+    TOP: SIDE.BOTTOM,
+    RIGHT: SIDE.LEFT,
+    BOTTOM: SIDE.TOP,
+    LEFT: SIDE.RIGHT
+};
+
+// Turns a boss that survives an explosion keeps burning (see STATUS_EFFECT.BURNING)
+const BLAST_BURN_TURNS = 3;
+
+const CARDINAL_DIRS = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+const DIAGONAL_DIRS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
 export const PLAYER_MOVE_RESULT = {
     REACHED_EXIT: 'REACHED_EXIT',
+    REACHED_DOOR: 'REACHED_DOOR',
     BOMB: 'BOMB',
     COIN: 'COIN',
     ENEMY: 'ENEMY',
+    SPIKES: 'SPIKES',
+    PIT: 'PIT',
     NORMAL: 'NORMAL',
     INVALID: 'INVALID',
 };
@@ -36,8 +61,22 @@ export class Room {
      * @param {number} bombCount - Number of bombs to generate in the room
      * @param {number} enemyCount - Number of enemies to generate in the room
      * @param {number} coinCount - Number of coins to generate in the room
+     * @param {Random} rng - Seeded random generator used for all generation (default: randomly seeded)
+     * @param {Object} options - Extra generation options
+     * @param {boolean} options.noGuess - Re-roll/adjust entities until the exits are reachable without guessing
+     * @param {string[]} options.exitSides - Sides to place exits on (default: one random side other than the entrance)
+     * @param {string[]} options.enemyKinds - ENEMY_KINDS keys allowed to spawn (default: all kinds)
+     * @param {number} options.depth - Floor number; kinds with a higher minDepth do not spawn (default: no limit)
+     * @param {number[]} options.wallDensity - Min/max share of inner cells turned into walls (default: [0.25, 0.4])
+     * @param {Object} options.template - Parsed room template (see RoomTemplates.js) used instead of procedural walls
+     * @param {Object} options.terrain - Special terrain amounts by TERRAIN key: share of inner floor cells for
+     *                                   WATER/SPIKES/PIT, share of inner walls for CRACKED_WALL (default: none)
+     * @param {Object} options.hintMode - HINT_MODE deciding what hints count and show (default: COMBINED)
+     * @param {Object} options.boss - BOSS_KINDS entry guarding the stairs of this room (default: none)
+     * @param {Random} options.playRng - Random generator for what happens during play, kept apart from rng so
+     *                                   play never changes later layouts (default: seeded from rng's seed)
      */
-    constructor(width, height, cellSize, entranceSide, bombCount = 0, enemyCount = 0, coinCount = 0) {
+    constructor(width, height, cellSize, entranceSide, bombCount = 0, enemyCount = 0, coinCount = 0, rng = null, options = {}) {
         this.width = width;
         this.height = height;
         this.cellSize = cellSize;
@@ -46,16 +85,48 @@ export class Room {
         this.enemyCount = enemyCount;
         this.coinCount = coinCount;
 
-        // Initialize the grid (0 = floor/empty cell, 1 = wall)
+        // Random generator shared with the rest of the run so layouts are reproducible
+        this.rng = rng || new Random();
+
+        // Random generator for gameplay (enemy moves, summons, idling, loot), never used for generation
+        this.playRng = options.playRng || new Random(`${this.rng.seed}:play`);
+
+        // Whether generation must guarantee a guess-free route to the exits
+        this.noGuess = options.noGuess || false;
+
+        // Requested exit sides (null = pick one at random)
+        this.exitSides = options.exitSides || null;
+
+        // Enemy kinds to spawn and inner wall density range
+        this.enemyKinds = options.enemyKinds || Object.keys(ENEMY_KINDS);
+        this.depth = options.depth || Infinity;
+        this.wallDensity = options.wallDensity || [0.25, 0.4];
+        this.terrain = options.terrain || {};
+
+        // What hint numbers count and how they are drawn
+        this.hintMode = options.hintMode || HINT_MODE.COMBINED;
+
+        // Handcrafted layout and pinned entities (null = fully procedural)
+        this.template = options.template || null;
+
+        // Boss guarding the stairs (kind from options, entity once placed)
+        this.bossKind = options.boss || null;
+        this.boss = null;
+
+        // Initialize the grid (TERRAIN ids, see Terrain.js)
         // Entrance and exit are treated as floor cells, tracked separately
         this.grid = [];
 
         // Store which floor sprite variant to use for each cell (0-5 for 6 different sprites)
         this.floorVariants = [];
 
-        // Store entrance and exit positions
+        // Store entrance position and exits ({ side, x, y } for each exit)
         this.entrancePos = null;
-        this.exitPos = null;
+        this.exits = [];
+
+        // Doors leading to neighbouring rooms, keyed by side ({ room, side })
+        // An exit without a link is a staircase down to the next level
+        this.links = {};
 
         // Store bombs
         this.bombs = [];
@@ -66,9 +137,25 @@ export class Room {
         // Store coins
         this.coins = [];
 
+        // Occupancy grids per entity type for O(1) position lookups
+        // Kept in sync by addEntity / moveEntity / removeEntity
+        this.occupancy = { bomb: [], enemy: [], coin: [] };
+
         // Store flags placed by player
         this.flags = [];
 
+        // Free annotation marks on hidden tiles (ANNOTATION value or null per cell)
+        this.annotations = [];
+
+        // Cells changed behind the player's back since the last turn (shown as a flash)
+        this.flashedCells = [];
+
+        // Areas checked by scouting items: { x0, y0, x1, y1, bombs, exact }
+        this.scans = [];
+
+        // Lit explosives placed by the player
+        this.explosives = [];
+
         // Store cell data for hints
         this.cellData = [];
 
@@ -78,10 +165,13 @@ export class Room {
 
     // Prep for next level
     cleanUp() {
-        this.bombs = [];
-        this.enemies = [];
-        this.coins = [];
+        this.exits = [];
+        this.links = {};
+        this.clearEntities();
         this.flags = [];
+        this.annotations = [];
+        this.scans = [];
+        this.explosives = [];
         this.cellData = [];
     }
 
@@ -89,23 +179,28 @@ export class Room {
      * Generates the room layout
      */
     generate() {
+        // Start with empty entity lists and occupancy grids sized to the room
+        this.clearEntities();
+
         // Initialize grid, floor variants, and cell data
         for (let y = 0; y < this.height; y++) {
             this.grid[y] = [];
             this.floorVariants[y] = [];
             this.cellData[y] = []; // Initialize cellData here
+            this.annotations[y] = new Array(this.width).fill(null);
             for (let x = 0; x < this.width; x++) {
-                this.grid[y][x] = 0; // Floor cell
+                this.grid[y][x] = TERRAIN.FLOOR;
                 // Randomly choose between 6 floor sprite variants (0-5)
-                this.floorVariants[y][x] = Math.floor(Math.random() * 6);
+                this.floorVariants[y][x] = this.rng.nextInt(6);
 
                 // Determine if cell is on the border (visible) or inner (hidden)
                 const isBorder = x === 0 || x === this.width - 1 || y === 0 || y === this.height - 1;
 
                 this.cellData[y][x] = {
                     hidden: !isBorder, // Hidden if NOT border
-                    hiddenVariant: Math.floor(Math.random() * 2), // 0 or 1 for sprite choice
+                    hiddenVariant: this.rng.nextInt(2), // 0 or 1 for sprite choice
                     hint: 0,
+                    counts: { bomb: 0, enemy: 0, ranged: 0, coin: 0 }, // Neighbours per hint category
                     hasNeighborBomb: false,
                     hasNeighborEnemy: false,
                     hasNeighborCoin: false
@@ -116,14 +211,32 @@ export class Room {
         // Place walls around the perimeter
         this.placeWalls();
 
+        // Copy the template's walls before doors are cut
+        if (this.template) {
+            this.applyTemplateLayout();
+        }
+
         // Place entrance
         this.placeEntrance();
 
-        // Place exit (on a different side, avoiding the same half)
-        this.placeExit();
+        // Place exits (on different sides, avoiding the entrance side)
+        this.placeExits();
 
-        // Generate Inner Walls (Chunks)
-        this.generateInnerWalls();
+        // Generate Inner Walls (Chunks) and special terrain unless the layout is handcrafted
+        if (!this.template) {
+            this.generateInnerWalls();
+            this.generateTerrain();
+        } else if (!this.exits.every(exit => this.hasPath(this.entrancePos, exit)) || !this.hasNoIslands()) {
+            console.warn(`Room template '${this.template.name}' has unreachable floor or blocked doors.`);
+        }
+
+        // Place entities pinned by the template
+        this.placePinnedEntities();
+
+        // Place the boss before anything else takes its space
+        if (this.bossKind) {
+            this.placeBoss();
+        }
 
         // Generate bombs
         this.generateBombs();
@@ -136,6 +249,52 @@ export class Room {
 
         // Calculate hints
         this.calculateHints();
+
+        // Make sure the exits can be reached by deduction alone
+        if (this.noGuess) {
+            this.ensureNoGuess();
+        }
+    }
+
+    /**
+     * Copies the template's terrain grid into the room
+     */
+    applyTemplateLayout() {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const type = this.template.tiles[y][x];
+                if (type !== TERRAIN.FLOOR) {
+                    this.grid[y][x] = type;
+                    this.cellData[y][x].hidden = false; // Walls and special terrain are visible
+                }
+            }
+        }
+    }
+
+    /**
+     * Places the bombs, enemies and coins pinned by the template
+     */
+    placePinnedEntities() {
+        if (!this.template) return;
+
+        this.template.bombs.forEach(pos => {
+            const bomb = new Bomb(pos.x, pos.y);
+            bomb.pinned = true;
+            this.addEntity('bomb', bomb);
+        });
+
+        this.template.enemies.forEach(pos => {
+            const kind = ENEMY_KINDS[pos.kind] || this.pickEnemyKind() || ENEMY_KINDS.HORIZONTAL;
+            const enemy = createEnemy(kind, pos.x, pos.y);
+            enemy.pinned = true;
+            this.addEntity('enemy', enemy);
+        });
+
+        this.template.coins.forEach(pos => {
+            const coin = new Coin(pos.x, pos.y);
+            coin.pinned = true;
+            this.addEntity('coin', coin);
+        });
     }
 
     /**
@@ -143,7 +302,8 @@ export class Room {
      */
     generateInnerWalls() {
         // Configuration
-        const wallPercentage = Math.random() * 0.15 + 0.25;
+        const [minDensity, maxDensity] = this.wallDensity;
+        const wallPercentage = this.rng.next() * (maxDensity - minDensity) + minDensity;
         const targetWallCells = Math.floor((this.width - 2) * (this.height - 2) * wallPercentage);
 
         let currentWallCells = 0;
@@ -165,8 +325,8 @@ export class Room {
                 return val < 0.5 ? val * val * 2 : 1 - (1 - val) * (1 - val) * 2;
             };
 
-            const rx = biasToEdge(Math.random());
-            const ry = biasToEdge(Math.random());
+            const rx = biasToEdge(this.rng.next());
+            const ry = biasToEdge(this.rng.next());
             const cx = Math.floor(rx * (this.width - 2)) + 1;
             const cy = Math.floor(ry * (this.height - 2)) + 1;
 
@@ -183,8 +343,8 @@ export class Room {
             const allowedMaxSize = Math.floor(minChunkSize + (maxChunkSizeBase - minChunkSize) * distFactor);
 
             // Randomize size within limits
-            const w = Math.floor(Math.random() * (allowedMaxSize - minChunkSize + 1)) + minChunkSize;
-            const h = Math.floor(Math.random() * (allowedMaxSize - minChunkSize + 1)) + minChunkSize;
+            const w = this.rng.range(minChunkSize, allowedMaxSize);
+            const h = this.rng.range(minChunkSize, allowedMaxSize);
 
             const halfW = Math.floor(w / 2);
             const halfH = Math.floor(h / 2);
@@ -204,7 +364,7 @@ export class Room {
             // Check Entrance/Exit Proximity (Radius 3 safe zone)
             const safeDist = 3;
             if (Math.abs(cx - this.entrancePos.x) < safeDist && Math.abs(cy - this.entrancePos.y) < safeDist) validPlacement = false;
-            if (Math.abs(cx - this.exitPos.x) < safeDist && Math.abs(cy - this.exitPos.y) < safeDist) validPlacement = false;
+            if (this.exits.some(exit => Math.abs(cx - exit.x) < safeDist && Math.abs(cy - exit.y) < safeDist)) validPlacement = false;
 
             if (validPlacement) {
                 for (let y = y1; y <= y2; y++) {
@@ -212,8 +372,8 @@ export class Room {
                         // Check bounds - only exclude the actual perimeter walls (row/col 0 and max)
                         // Allow inner walls to connect to border. Path check ensures connectivity.
                         if (x >= 1 && x <= this.width - 2 && y >= 1 && y <= this.height - 2) {
-                            if (this.grid[y][x] === 0) {
-                                this.grid[y][x] = 1;
+                            if (this.grid[y][x] === TERRAIN.FLOOR) {
+                                this.grid[y][x] = TERRAIN.WALL;
                                 this.cellData[y][x].hidden = false; // Walls should be visible
                                 changes.push({ x, y });
                             }
@@ -221,13 +381,13 @@ export class Room {
                     }
                 }
 
-                // Ensure that on generating walls the player still has a valid path to the exit
+                // Ensure that on generating walls the player still has a valid path to every exit
                 // AND no islands are created (all floor tiles reachable)
                 if (changes.length > 0) {
-                    if (!this.hasPath(this.entrancePos, this.exitPos) || !this.hasNoIslands()) {
+                    if (!this.exits.every(exit => this.hasPath(this.entrancePos, exit)) || !this.hasNoIslands()) {
                         // Revert if path blocked or islands created
                         changes.forEach(c => {
-                            this.grid[c.y][c.x] = 0;
+                            this.grid[c.y][c.x] = TERRAIN.FLOOR;
                             this.cellData[c.y][c.x].hidden = true; // Restore hidden state
                         });
                         validPlacement = false;
@@ -239,6 +399,57 @@ export class Room {
         }
     }
 
+    /**
+     * Places special terrain (see options.terrain) on inner cells.
+     * Terrain is visible from the start; hazards are only placed where every safe
+     * floor tile stays reachable, and nothing is placed near the doors.
+     */
+    generateTerrain() {
+        const innerFloor = [];
+        const innerWalls = [];
+        for (let y = 1; y < this.height - 1; y++) {
+            for (let x = 1; x < this.width - 1; x++) {
+                if (this.grid[y][x] === TERRAIN.FLOOR) innerFloor.push({ x, y });
+                else if (this.grid[y][x] === TERRAIN.WALL) innerWalls.push({ x, y });
+            }
+        }
+
+        // Fractional amounts round up by chance so low shares still show up sometimes
+        const amount = (key, cells) => Math.floor((this.terrain[key] || 0) * cells + this.rng.next());
+
+        // Cracked walls replace walls that touch the floor (so a blast can reach them)
+        const crackable = innerWalls.filter(({ x, y }) =>
+            CARDINAL_DIRS.some(([dx, dy]) => this.grid[y + dy][x + dx] === TERRAIN.FLOOR));
+        for (let i = amount('CRACKED_WALL', innerWalls.length); i > 0 && crackable.length > 0; i--) {
+            const { x, y } = crackable.splice(this.rng.nextInt(crackable.length), 1)[0];
+            this.grid[y][x] = TERRAIN.CRACKED_WALL;
+        }
+
+        const placeOnFloor = (type, count) => {
+            const terrain = getTerrainType(type);
+            let attempts = count * 20;
+
+            while (count > 0 && attempts-- > 0) {
+                const { x, y } = this.rng.pick(innerFloor);
+                if (this.grid[y][x] !== TERRAIN.FLOOR || this.isNearDoor(x, y)) continue;
+
+                this.grid[y][x] = type;
+                if (terrain.hazard && !this.isLocallyConnectedAround(x, y) && !this.hasNoIslands()) {
+                    this.grid[y][x] = TERRAIN.FLOOR; // Would cut off part of the room
+                    continue;
+                }
+
+                this.cellData[y][x].hidden = false;
+                count--;
+            }
+        };
+
+        placeOnFloor(TERRAIN.WATER, amount('WATER', innerFloor.length));
+        placeOnFloor(TERRAIN.SPIKES, amount('SPIKES', innerFloor.length));
+        // A pit would skip the boss (the stairs stay sealed while it lives)
+        if (!this.bossKind) placeOnFloor(TERRAIN.PIT, amount('PIT', innerFloor.length));
+    }
+
     /**
      * Generates bombs using Anti-Void strategy:
      * 1. Place initial random bombs.
@@ -246,8 +457,8 @@ export class Room {
      * 3. Ensure a valid path exists from Entrance to Exit (carve path if needed).
      */
     generateBombs() {
-        // 1. Initial Scatter (Place ~80% of desired bombs randomly first)
-        const initialCount = Math.floor(this.bombCount * 0.8);
+        // 1. Initial Scatter (Place ~80% of desired bombs randomly first, pinned bombs included)
+        const initialCount = Math.max(0, Math.floor(this.bombCount * 0.8) - this.bombs.length);
         this.placeRandomBombs(initialCount);
 
         // 2. Break Voids
@@ -275,18 +486,19 @@ export class Room {
 
         while (placed < count && attempts < maxAttempts) {
             attempts++;
-            const x = Math.floor(Math.random() * (this.width - 2)) + 1;
-            const y = Math.floor(Math.random() * (this.height - 2)) + 1;
+            const x = this.rng.nextInt(this.width - 2) + 1;
+            const y = this.rng.nextInt(this.height - 2) + 1;
 
             if (this.isValidEntityPosition(x, y)) {
                 // Temporarily place bomb
                 const bomb = new Bomb(x, y);
-                this.bombs.push(bomb);
+                this.addEntity('bomb', bomb);
 
                 // Check if this creates an island (unreachable floor tiles considering bombs)
-                if (!this.hasNoIslandsWithBombs()) {
+                // The local check settles most placements without a full BFS
+                if (!this.isLocallyConnectedAround(x, y) && !this.hasNoIslandsWithBombs()) {
                     // Rollback
-                    this.bombs.pop();
+                    this.detachEntity({ type: 'bomb', entity: bomb });
                 } else {
                     placed++;
                 }
@@ -294,58 +506,101 @@ export class Room {
         }
     }
 
+    /**
+     * Checks whether the passable cardinal neighbours of a (newly blocked) cell are still
+     * connected to each other through the surrounding ring of cells. If they are, blocking
+     * the cell cannot have split the floor into islands.
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean} True if blocking this cell is known to be safe
+     */
+    isLocallyConnectedAround(x, y) {
+        const isPassable = (px, py) => this.isSafeGround(px, py) && !this.occupancy.bomb[py][px];
+
+        // Ring around the cell in clockwise order, starting north
+        const ring = [[0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1]]
+            .map(([dx, dy]) => isPassable(x + dx, y + dy));
+
+        // Count groups of passable cardinal neighbours (even indices), where two
+        // consecutive cardinals are joined only through a passable corner between them
+        let cardinalCount = 0;
+        let links = 0;
+        for (let i = 0; i < 8; i += 2) {
+            if (!ring[i]) continue;
+            cardinalCount++;
+            if (ring[i + 1] && ring[(i + 2) % 8]) links++;
+        }
+
+        // A ring of four linked cardinals has one redundant link
+        const groups = cardinalCount === 4 && links === 4 ? 1 : cardinalCount - links;
+        return groups <= 1;
+    }
+
     /**
      * Checks for islands considering bombs as blocking.
      * Returns true if all non-bomb floor tiles are reachable from entrance.
      */
     hasNoIslandsWithBombs() {
-        const visited = new Set();
-        const queue = [this.entrancePos];
-        visited.add(`${this.entrancePos.x},${this.entrancePos.y}`);
-
-        while (queue.length > 0) {
-            const curr = queue.shift();
-            const dirs = [[0, 1], [0, -1], [1, 0], [-1, 0]];
-            for (const [dx, dy] of dirs) {
-                const nx = curr.x + dx;
-                const ny = curr.y + dy;
-                const key = `${nx},${ny}`;
-
-                if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height &&
-                    this.grid[ny][nx] === 0 && !visited.has(key) &&
-                    !this.bombs.some(b => b.x === nx && b.y === ny)) {
-                    visited.add(key);
-                    queue.push({ x: nx, y: ny });
-                }
-            }
-        }
+        const bombGrid = this.occupancy.bomb;
+        const reachable = this.countReachable(this.entrancePos, (x, y) => this.isSafeGround(x, y) && !bombGrid[y][x]);
 
         // Count all floor cells that don't have bombs
         let totalAccessibleFloorCells = 0;
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
-                if (this.grid[y][x] === 0 && !this.bombs.some(b => b.x === x && b.y === y)) {
+                if (this.isSafeGround(x, y) && !bombGrid[y][x]) {
                     totalAccessibleFloorCells++;
                 }
             }
         }
 
-        return visited.size === totalAccessibleFloorCells;
+        return reachable === totalAccessibleFloorCells;
+    }
+
+    /**
+     * Counts cells reachable from a start cell with a linear-time BFS (cardinal moves only)
+     * @param {{x: number, y: number}} start - Start cell (always counted)
+     * @param {Function} isPassable - (x, y) => boolean
+     * @returns {number} Number of reachable cells
+     */
+    countReachable(start, isPassable) {
+        const visited = new Uint8Array(this.width * this.height);
+        const queue = [start.y * this.width + start.x];
+        visited[queue[0]] = 1;
+
+        for (let head = 0; head < queue.length; head++) {
+            const index = queue[head];
+            const x = index % this.width;
+            const y = (index - x) / this.width;
+
+            for (const [dx, dy] of CARDINAL_DIRS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) continue;
+
+                const nIndex = ny * this.width + nx;
+                if (!visited[nIndex] && isPassable(nx, ny)) {
+                    visited[nIndex] = 1;
+                    queue.push(nIndex);
+                }
+            }
+        }
+
+        return queue.length;
     }
 
     /**
      * Finds large connected areas of 0-hint tiles and places a bomb in them
      */
     breakLargeVoids() {
-        const visited = new Set();
+        const visited = new Uint8Array(this.width * this.height);
         const clusters = [];
 
         // Find clusters
         for (let y = 1; y < this.height - 1; y++) {
             for (let x = 1; x < this.width - 1; x++) {
-                if (this.cellData[y][x].hint === 0 && !this.hasEntityAt(x, y) && this.grid[y][x] === 0) {
-                    const key = `${x},${y}`;
-                    if (!visited.has(key)) {
+                if (this.cellData[y][x].hint === 0 && !this.hasEntityAt(x, y) && this.grid[y][x] === TERRAIN.FLOOR) {
+                    if (!visited[y * this.width + x]) {
                         const cluster = this.getCluster(x, y, visited);
                         clusters.push(cluster);
                     }
@@ -365,7 +620,7 @@ export class Room {
 
                 // Verify it's still valid (in case overlapping? shouldn't happen with 0 hints but safe to check)
                 if (this.isValidEntityPosition(target.x, target.y)) {
-                    this.bombs.push(new Bomb(target.x, target.y));
+                    this.addEntity('bomb', new Bomb(target.x, target.y));
                 }
             }
         });
@@ -378,29 +633,25 @@ export class Room {
      * BFS to find connected component of 0-hint tiles
      */
     getCluster(startX, startY, visited) {
-        const cluster = [];
-        const queue = [{ x: startX, y: startY }];
-        visited.add(`${startX},${startY}`);
-        cluster.push({ x: startX, y: startY });
+        const cluster = [{ x: startX, y: startY }];
+        visited[startY * this.width + startX] = 1;
 
-        while (queue.length > 0) {
-            const curr = queue.shift();
+        for (let head = 0; head < cluster.length; head++) {
+            const curr = cluster[head];
 
             // Check neighbors
-            const dirs = [[0, 1], [0, -1], [1, 0], [-1, 0]];
-            for (const [dx, dy] of dirs) {
+            for (const [dx, dy] of CARDINAL_DIRS) {
                 const nx = curr.x + dx;
                 const ny = curr.y + dy;
 
                 if (nx > 0 && nx < this.width - 1 && ny > 0 && ny < this.height - 1) {
-                    const key = `${nx},${ny}`;
-                    if (!visited.has(key)) {
+                    const index = ny * this.width + nx;
+                    if (!visited[index]) {
                         const cell = this.cellData[ny][nx];
                         // If it's a 0-hint floor tile with no entity
-                        if (cell.hint === 0 && !this.hasEntityAt(nx, ny) && this.grid[ny][nx] === 0) {
-                            visited.add(key);
+                        if (cell.hint === 0 && !this.hasEntityAt(nx, ny) && this.grid[ny][nx] === TERRAIN.FLOOR) {
+                            visited[index] = 1;
                             cluster.push({ x: nx, y: ny });
-                            queue.push({ x: nx, y: ny });
                         }
                     }
                 }
@@ -410,11 +661,18 @@ export class Room {
     }
 
     /**
-     * Checks if path exists from Entrance to Exit. If not, removes bombs along a shortest path.
+     * Ensures a path exists from the entrance to every exit
      */
     ensureSolvable() {
+        this.exits.forEach(exit => this.ensurePathTo(exit));
+    }
+
+    /**
+     * Checks if path exists from Entrance to the given exit. If not, removes bombs along a shortest path.
+     * @param {{x: number, y: number}} end - Exit position
+     */
+    ensurePathTo(end) {
         const start = this.entrancePos;
-        const end = this.exitPos;
 
         // Simple BFS to check existence
         if (this.hasPath(start, end)) return;
@@ -428,9 +686,9 @@ export class Room {
         if (path) {
             path.forEach(pos => {
                 // If there is a bomb here, remove it
-                const bombIndex = this.bombs.findIndex(b => b.x === pos.x && b.y === pos.y);
-                if (bombIndex !== -1) {
-                    this.bombs.splice(bombIndex, 1);
+                const bomb = this.occupancy.bomb[pos.y][pos.x];
+                if (bomb) {
+                    this.detachEntity({ type: 'bomb', entity: bomb });
                 }
             });
             // Recalculate hints after carving
@@ -441,29 +699,82 @@ export class Room {
         }
     }
 
+    /**
+     * Ensures every exit can be reached from the entrance using only hint deductions.
+     * First re-rolls all entities a few times, then falls back to removing entities
+     * on the frontier where the solver got stuck.
+     */
+    ensureNoGuess() {
+        const MAX_REROLLS = 10;
+        const MAX_ADJUSTMENTS = 100;
+
+        for (let i = 0; i < MAX_REROLLS; i++) {
+            if (new NoGuessSolver(this).solve().solvable) return;
+
+            // Re-roll every entity (hints count bombs, enemies and coins alike)
+            this.clearEntities();
+            this.placePinnedEntities();
+            if (this.boss) this.addEntity('enemy', this.boss);
+            this.generateBombs();
+            this.generateEnemies();
+            this.generateCoins();
+            this.calculateHints();
+        }
+
+        for (let i = 0; i < MAX_ADJUSTMENTS; i++) {
+            const { solvable, frontier } = new NoGuessSolver(this).solve();
+            if (solvable) return;
+
+            // Prefer removing bombs the player would have had to guess around
+            const blockers = frontier
+                .map(pos => this.getEntityAt(pos.x, pos.y))
+                .filter(entityObj => entityObj !== null && !entityObj.entity.pinned);
+            const bombBlockers = blockers.filter(entityObj => entityObj.type === 'bomb');
+            const candidates = bombBlockers.length > 0 ? bombBlockers : blockers;
+
+            if (candidates.length === 0) {
+                // Stuck behind known entities rather than unknown ones: clear one along the ideal path
+                const path = this.exits
+                    .map(exit => this.findPathIdeally(this.entrancePos, exit) || [])
+                    .flat();
+                const onPath = path.map(pos => this.getEntityAt(pos.x, pos.y))
+                    .find(entityObj => entityObj !== null && !entityObj.entity.isBoss);
+                if (!onPath) break;
+                this.removeEntity(onPath);
+                continue;
+            }
+
+            this.removeEntity(this.rng.pick(candidates));
+        }
+
+        if (!new NoGuessSolver(this).solve().solvable) {
+            console.warn('Could not make room guess-free.');
+        }
+    }
+
     hasPath(start, end) {
+        const visited = new Uint8Array(this.width * this.height);
         const queue = [start];
-        const visited = new Set([`${start.x},${start.y}`]);
+        visited[start.y * this.width + start.x] = 1;
 
-        while (queue.length > 0) {
-            const curr = queue.shift();
+        for (let head = 0; head < queue.length; head++) {
+            const curr = queue[head];
             if (curr.x === end.x && curr.y === end.y) return true;
 
-            const dirs = [[0, 1], [0, -1], [1, 0], [-1, 0]];
-            for (const [dx, dy] of dirs) {
+            for (const [dx, dy] of CARDINAL_DIRS) {
                 const nx = curr.x + dx;
                 const ny = curr.y + dy;
 
-                // Check bounds and walls
-                if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height && this.grid[ny][nx] !== 1) {
+                // Check bounds, walls and hazards
+                if (this.isSafeGround(nx, ny)) {
                     // Check entities (Bombs block path)
                     // Note: In Minesweeper, you theoretically can't step on a bomb.
                     // But here we are checking if a SAFE path exists.
                     // So we treat bombs as walls.
                     if (!this.hasEntityAt(nx, ny)) {
-                        const key = `${nx},${ny}`;
-                        if (!visited.has(key)) {
-                            visited.add(key);
+                        const index = ny * this.width + nx;
+                        if (!visited[index]) {
+                            visited[index] = 1;
                             queue.push({ x: nx, y: ny });
                         }
                     }
@@ -479,64 +790,56 @@ export class Room {
      */
     hasNoIslands() {
         // BFS from entrance, count all reachable floor cells (ignoring entities for this check)
-        const visited = new Set();
-        const queue = [this.entrancePos];
-        visited.add(`${this.entrancePos.x},${this.entrancePos.y}`);
-
-        while (queue.length > 0) {
-            const curr = queue.shift();
-            const dirs = [[0, 1], [0, -1], [1, 0], [-1, 0]];
-            for (const [dx, dy] of dirs) {
-                const nx = curr.x + dx;
-                const ny = curr.y + dy;
-                const key = `${nx},${ny}`;
-
-                if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height &&
-                    this.grid[ny][nx] === 0 && !visited.has(key)) {
-                    visited.add(key);
-                    queue.push({ x: nx, y: ny });
-                }
-            }
-        }
+        const reachable = this.countReachable(this.entrancePos, (x, y) => this.isSafeGround(x, y));
 
         // Count all floor cells in grid
         let totalFloorCells = 0;
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
-                if (this.grid[y][x] === 0) totalFloorCells++;
+                if (this.isSafeGround(x, y)) totalFloorCells++;
             }
         }
 
-        return visited.size === totalFloorCells;
+        return reachable === totalFloorCells;
     }
 
     /**
-     * BFS to find path ignoring entities (only walls block)
+     * BFS to find path ignoring entities (only walls and hazards block)
      */
     findPathIdeally(start, end) {
-        const queue = [[start]]; // Queue of paths
-        const visited = new Set([`${start.x},${start.y}`]);
-
-        while (queue.length > 0) {
-            const path = queue.shift();
-            const curr = path[path.length - 1];
-
-            if (curr.x === end.x && curr.y === end.y) return path;
+        // BFS storing each cell's parent instead of whole paths (linear time and memory)
+        const parents = new Int32Array(this.width * this.height).fill(-1);
+        const startIndex = start.y * this.width + start.x;
+        const endIndex = end.y * this.width + end.x;
+        const queue = [startIndex];
+        parents[startIndex] = startIndex;
+
+        // Player only moves cardinal (WASD), so carve cardinal paths
+        for (let head = 0; head < queue.length; head++) {
+            const index = queue[head];
+
+            if (index === endIndex) {
+                // Walk back from the end to rebuild the path
+                const path = [];
+                for (let i = endIndex; ; i = parents[i]) {
+                    path.push({ x: i % this.width, y: Math.floor(i / this.width) });
+                    if (i === startIndex) break;
+                }
+                return path.reverse();
+            }
 
-            const dirs = [[0, 1], [0, -1], [1, 0], [-1, 0], [1, 1], [1, -1], [-1, 1], [-1, -1]]; // Diagonals allowed for carving?
-            // Actually player only moves cardinal (WASD). So keep cardinal.
-            const cardinalDirs = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+            const x = index % this.width;
+            const y = (index - x) / this.width;
 
-            for (const [dx, dy] of cardinalDirs) {
-                const nx = curr.x + dx;
-                const ny = curr.y + dy;
+            for (const [dx, dy] of CARDINAL_DIRS) {
+                const nx = x + dx;
+                const ny = y + dy;
 
-                if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height && this.grid[ny][nx] !== 1) {
-                    const key = `${nx},${ny}`;
-                    if (!visited.has(key)) {
-                        visited.add(key);
-                        const newPath = [...path, { x: nx, y: ny }];
-                        queue.push(newPath);
+                if (this.isSafeGround(nx, ny)) {
+                    const nIndex = ny * this.width + nx;
+                    if (parents[nIndex] === -1) {
+                        parents[nIndex] = index;
+                        queue.push(nIndex);
                     }
                 }
             }
@@ -548,23 +851,23 @@ export class Room {
      * Generates enemies randomly in the room
      */
     generateEnemies() {
-        let placedEnemies = 0;
+        if (this.enemyCount > 0 && !this.pickEnemyKind()) {
+            console.warn(`No enemy kind can spawn at depth ${this.depth}.`);
+            return;
+        }
+
+        let placedEnemies = this.enemies.length; // Pinned enemies count towards the total
         let attempts = 0;
         const maxAttempts = this.enemyCount * 100;
 
         while (placedEnemies < this.enemyCount && attempts < maxAttempts) {
             attempts++;
 
-            const x = Math.floor(Math.random() * (this.width - 2)) + 1;
-            const y = Math.floor(Math.random() * (this.height - 2)) + 1;
+            const x = this.rng.nextInt(this.width - 2) + 1;
+            const y = this.rng.nextInt(this.height - 2) + 1;
 
             if (this.isValidEntityPosition(x, y)) {
-                // Randomly select strategy and sprite
-                const isVertical = Math.random() < 0.5;
-                const behavior = isVertical ? new VerticalChaseStrategy() : new HorizontalChaseStrategy();
-                const sprite = isVertical ? SPRITES.ENEMY_2 : SPRITES.ENEMY;
-
-                this.enemies.push(new Enemy(x, y, behavior, sprite));
+                this.addEntity('enemy', createEnemy(this.pickEnemyKind(), x, y));
                 placedEnemies++;
             }
         }
@@ -574,22 +877,81 @@ export class Room {
         }
     }
 
+    /**
+     * Picks one of the kinds allowed to spawn here, weighted by spawn weight
+     * @returns {Object|null} Entry of ENEMY_KINDS, or null if none can spawn at this depth
+     */
+    pickEnemyKind() {
+        const kinds = this.enemyKinds
+            .map(key => ENEMY_KINDS[key])
+            .filter(kind => kind && kind.minDepth <= this.depth);
+        if (kinds.length === 0) return null;
+
+        return this.rng.pickWeighted(kinds, kinds.map(kind => kind.spawnWeight));
+    }
+
+    /**
+     * Places the boss on a free block of floor, as far from the entrance as possible.
+     * Its cells start revealed so the fight does not depend on guessing.
+     */
+    placeBoss() {
+        const size = this.bossKind.size;
+        let best = null;
+        let bestDistance = -1;
+
+        for (let y = 1; y + size <= this.height - 1; y++) {
+            for (let x = 1; x + size <= this.width - 1; x++) {
+                let fits = true;
+                for (let dy = 0; dy < size && fits; dy++) {
+                    for (let dx = 0; dx < size && fits; dx++) {
+                        fits = this.isValidEntityPosition(x + dx, y + dy);
+                    }
+                }
+                if (!fits) continue;
+
+                const distance = Math.abs(x - this.entrancePos.x) + Math.abs(y - this.entrancePos.y);
+                if (distance > bestDistance) {
+                    best = { x, y };
+                    bestDistance = distance;
+                }
+            }
+        }
+
+        if (!best) {
+            console.warn(`Could not find room for the boss '${this.bossKind.name}'.`);
+            return;
+        }
+
+        this.boss = createBoss(this.bossKind, best.x, best.y);
+        this.boss.pinned = true; // Never re-rolled to make the room guess-free
+        this.addEntity('enemy', this.boss);
+        this.boss.getCells().forEach(cell => this.revealCell(cell.x, cell.y));
+    }
+
+    /**
+     * Checks whether the room has a boss that is still alive
+     * @returns {boolean}
+     */
+    isBossAlive() {
+        return this.boss !== null && this.enemies.includes(this.boss);
+    }
+
     /**
      * Generates coins randomly in the room
      */
     generateCoins() {
-        let placedCoins = 0;
+        let placedCoins = this.coins.length; // Pinned coins count towards the total
         let attempts = 0;
         const maxAttempts = this.coinCount * 100;
 
         while (placedCoins < this.coinCount && attempts < maxAttempts) {
             attempts++;
 
-            const x = Math.floor(Math.random() * (this.width - 2)) + 1;
-            const y = Math.floor(Math.random() * (this.height - 2)) + 1;
+            const x = this.rng.nextInt(this.width - 2) + 1;
+            const y = this.rng.nextInt(this.height - 2) + 1;
 
             if (this.isValidEntityPosition(x, y)) {
-                this.coins.push(new Coin(x, y));
+                this.addEntity('coin', new Coin(x, y));
                 placedCoins++;
             }
         }
@@ -601,85 +963,167 @@ export class Room {
 
     /**
      * Calculates hint numbers and neighbor flags for all cells
+     * The hint only adds up the entity types counted by the hint mode.
      */
     calculateHints() {
+        const counted = this.hintMode.counted;
+
         // Reset hints (keep hidden state)
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
                 // Only reset the hint-related data
                 this.cellData[y][x].hint = 0;
+                this.cellData[y][x].counts = { bomb: 0, enemy: 0, ranged: 0, coin: 0 };
                 this.cellData[y][x].hasNeighborBomb = false;
                 this.cellData[y][x].hasNeighborEnemy = false;
                 this.cellData[y][x].hasNeighborCoin = false;
             }
         }
 
-        const updateNeighbor = (cx, cy, type) => {
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dx = -1; dx <= 1; dx++) {
-                    if (dx === 0 && dy === 0) continue;
-                    const nx = cx + dx;
-                    const ny = cy + dy;
-                    if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-                        this.cellData[ny][nx].hint++;
+        // category: HINT_COLORS key the entity shows up as (enemies pick their own)
+        // Entities covering several cells are counted once by each tile around them.
+        const updateNeighbor = (entity, type, category = type) => {
+            const cells = this.getEntityCells(entity);
+            const seen = new Set();
+
+            cells.forEach(cell => {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = cell.x + dx;
+                        const ny = cell.y + dy;
+                        if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) continue;
+                        if (cells.some(c => c.x === nx && c.y === ny) || seen.has(ny * this.width + nx)) continue;
+                        seen.add(ny * this.width + nx);
+
+                        this.cellData[ny][nx].counts[category]++;
+                        if (counted.includes(type)) this.cellData[ny][nx].hint++;
                         if (type === 'bomb') this.cellData[ny][nx].hasNeighborBomb = true;
                         if (type === 'enemy') this.cellData[ny][nx].hasNeighborEnemy = true;
                         if (type === 'coin') this.cellData[ny][nx].hasNeighborCoin = true;
                     }
                 }
-            }
+            });
         };
 
-        this.bombs.forEach(b => updateNeighbor(b.x, b.y, 'bomb'));
-        this.enemies.forEach(e => updateNeighbor(e.x, e.y, 'enemy'));
-        this.coins.forEach(c => updateNeighbor(c.x, c.y, 'coin'));
+        this.bombs.forEach(b => updateNeighbor(b, 'bomb'));
+        this.enemies.forEach(e => updateNeighbor(e, 'enemy', e.hintType));
+        this.coins.forEach(c => updateNeighbor(c, 'coin'));
     }
 
     /**
-     * Updates all enemies (AI turn)
-     * @param {Object} player - The player object
+     * Gets the entity at a specific position
+     * @param {number} x
+     * @param {number} y
+     * @returns {Object|null} The entity (Bomb, Enemy, Coin) or null
      */
-    updateEnemies(player) {
-        let anyEnemyMoved = false;
+    getEntityAt(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return null;
 
-        // Create a copy of the array because enemies might be removed during iteration (suicide attack)
-        // If an enemy attacks, it calls removeEntity, which modifies the array.
-        // We iterate backward to handle removal safely, or use a copy.
-        // A copy is safer for logic flow.
-        const enemies = [...this.enemies];
+        const bomb = this.occupancy.bomb[y][x];
+        if (bomb) return { type: 'bomb', entity: bomb };
 
-        for (const enemy of enemies) {
-            // Check if enemy is still in the room (might have been removed if another enemy exploded it? Unlikely currently)
-            // But good to check if it's still in the main list
-            if (this.enemies.includes(enemy)) {
-                if (enemy.takeTurn(player, this)) {
-                    anyEnemyMoved = true;
-                }
+        const enemy = this.occupancy.enemy[y][x];
+        if (enemy) return { type: 'enemy', entity: enemy };
+
+        const coin = this.occupancy.coin[y][x];
+        if (coin) return { type: 'coin', entity: coin };
+
+        return null;
+    }
+
+    /**
+     * Checks whether an entity is counted by hint numbers in the current hint mode
+     * @param {Object|null} entityObj - The entity object wrapper returned by getEntityAt
+     * @returns {boolean}
+     */
+    isCountedByHints(entityObj) {
+        return entityObj !== null && this.hintMode.counted.includes(entityObj.type);
+    }
+
+    /**
+     * Gets the list holding entities of a type
+     * @param {string} type - 'bomb', 'enemy' or 'coin'
+     * @returns {Array}
+     */
+    getEntityList(type) {
+        if (type === 'bomb') return this.bombs;
+        if (type === 'enemy') return this.enemies;
+        return this.coins;
+    }
+
+    /**
+     * Removes every entity and resets the occupancy grids to the room size
+     */
+    clearEntities() {
+        this.bombs = [];
+        this.enemies = [];
+        this.coins = [];
+
+        Object.keys(this.occupancy).forEach(type => {
+            const grid = [];
+            for (let y = 0; y < this.height; y++) {
+                grid.push(new Array(this.width).fill(null));
             }
-        }
+            this.occupancy[type] = grid;
+        });
+    }
 
-        if (anyEnemyMoved) {
-            this.calculateHints();
-        }
+    /**
+     * Gets the cells an entity covers (bosses cover several, everything else one)
+     * @param {Object} entity - Bomb, Enemy, Boss or Coin
+     * @returns {{x: number, y: number}[]}
+     */
+    getEntityCells(entity) {
+        return entity.getCells ? entity.getCells() : [{ x: entity.x, y: entity.y }];
     }
 
     /**
-     * Gets the entity at a specific position
+     * Adds an entity to the room (hints are not recalculated)
+     * @param {string} type - 'bomb', 'enemy' or 'coin'
+     * @param {Object} entity - Bomb, Enemy or Coin positioned at its x/y
+     */
+    addEntity(type, entity) {
+        this.getEntityList(type).push(entity);
+        this.getEntityCells(entity).forEach(cell => {
+            this.occupancy[type][cell.y][cell.x] = entity;
+        });
+    }
+
+    /**
+     * Moves an entity to a new cell (hints are not recalculated)
+     * @param {Object} entityObj - The entity object wrapper returned by getEntityAt
      * @param {number} x
      * @param {number} y
-     * @returns {Object|null} The entity (Bomb, Enemy, Coin) or null
      */
-    getEntityAt(x, y) {
-        const bomb = this.bombs.find(b => b.x === x && b.y === y);
-        if (bomb) return { type: 'bomb', entity: bomb };
+    moveEntity(entityObj, x, y) {
+        const { type, entity } = entityObj;
+        const grid = this.occupancy[type];
 
-        const enemy = this.enemies.find(e => e.x === x && e.y === y);
-        if (enemy) return { type: 'enemy', entity: enemy };
+        this.getEntityCells(entity).forEach(cell => {
+            if (grid[cell.y][cell.x] === entity) grid[cell.y][cell.x] = null;
+        });
+        entity.x = x;
+        entity.y = y;
+        this.getEntityCells(entity).forEach(cell => {
+            grid[cell.y][cell.x] = entity;
+        });
+    }
 
-        const coin = this.coins.find(c => c.x === x && c.y === y);
-        if (coin) return { type: 'coin', entity: coin };
+    /**
+     * Removes an entity without recalculating hints (callers must recalculate them themselves)
+     * @param {Object} entityObj - The entity object wrapper returned by getEntityAt
+     */
+    detachEntity(entityObj) {
+        const { type, entity } = entityObj;
+        const list = this.getEntityList(type);
 
-        return null;
+        const index = list.indexOf(entity);
+        if (index > -1) list.splice(index, 1);
+
+        const grid = this.occupancy[type];
+        this.getEntityCells(entity).forEach(cell => {
+            if (grid[cell.y] && grid[cell.y][cell.x] === entity) grid[cell.y][cell.x] = null;
+        });
     }
 
     /**
@@ -689,39 +1133,54 @@ export class Room {
     removeEntity(entityObj) {
         if (!entityObj) return;
 
-        const { type, entity } = entityObj;
-
-        if (type === 'bomb') {
-            const index = this.bombs.indexOf(entity);
-            if (index > -1) this.bombs.splice(index, 1);
-        } else if (type === 'enemy') {
-            const index = this.enemies.indexOf(entity);
-            if (index > -1) this.enemies.splice(index, 1);
-        } else if (type === 'coin') {
-            const index = this.coins.indexOf(entity);
-            if (index > -1) this.coins.splice(index, 1);
-        }
+        this.detachEntity(entityObj);
 
         // Recalculate hints immediately to reflect the change
         this.calculateHints();
     }
 
+    /**
+     * Marks a cell and its neighbours (whose hints changed) to flash
+     * @param {number} x
+     * @param {number} y
+     */
+    flashCell(x, y) {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
+                    this.flashedCells.push({ x: nx, y: ny });
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the cells marked to flash and clears the list
+     * @returns {{x: number, y: number}[]}
+     */
+    takeFlashedCells() {
+        const cells = this.flashedCells;
+        this.flashedCells = [];
+        return cells;
+    }
+
     /**
      * Checks if there is an entity at the given position
      */
     hasEntityAt(x, y) {
-        return this.bombs.some(b => b.x === x && b.y === y) ||
-            this.enemies.some(e => e.x === x && e.y === y) ||
-            this.coins.some(c => c.x === x && c.y === y);
+        return this.getEntityAt(x, y) !== null;
     }
 
     /**
      * Places a flag on a hidden tile
      * @param {number} x - Grid x coordinate
      * @param {number} y - Grid y coordinate
+     * @param {boolean} isOracle - Oracle flags show whether a bomb is underneath (default: false)
      * @returns {boolean} True if flag was placed successfully
      */
-    placeFlag(x, y) {
+    placeFlag(x, y, isOracle = false) {
         // Check bounds
         if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
             return false;
@@ -740,47 +1199,125 @@ export class Room {
         }
 
         // Check if wall
-        if (this.grid[y][x] === 1) {
+        if (!this.getTerrain(x, y).walkable) {
             return false;
         }
 
         // Determine if there's a bomb at this position (for danger/safe sprite)
-        const hasBomb = this.bombs.some(b => b.x === x && b.y === y);
+        const hasBomb = this.occupancy.bomb[y][x] !== null;
 
         // Create and add the flag
-        const flag = new Flag(x, y, hasBomb);
+        const flag = new Flag(x, y, hasBomb, isOracle);
         this.flags.push(flag);
 
-        console.log(`Flag placed at (${x}, ${y}) - ${hasBomb ? 'DANGER' : 'SAFE'}`);
+        if (isOracle) {
+            console.log(`Oracle flag placed at (${x}, ${y}) - ${hasBomb ? 'DANGER' : 'SAFE'}`);
+        } else {
+            console.log(`Flag placed at (${x}, ${y})`);
+        }
         return true;
     }
 
     /**
-     * Gets the flag at a specific position
-     * @param {number} x
+     * Counts the bombs in a square area and keeps the result to show on the room.
+     * The result is what was there at the time (saboteurs can move bombs later).
+     * @param {number} x - Centre of the area
      * @param {number} y
-     * @returns {Flag|null}
+     * @param {number} radius - Cells from the centre to the edge
+     * @param {boolean} exact - Show the count (true) or only whether there are any (false)
+     * @returns {Object} The scan: { x0, y0, x1, y1, bombs, exact }
      */
-    getFlagAt(x, y) {
-        return this.flags.find(f => f.x === x && f.y === y) || null;
+    addScan(x, y, radius, exact) {
+        const scan = {
+            x0: Math.max(0, x - radius),
+            y0: Math.max(0, y - radius),
+            x1: Math.min(this.width - 1, x + radius),
+            y1: Math.min(this.height - 1, y + radius),
+            bombs: 0,
+            exact
+        };
+
+        for (let cy = scan.y0; cy <= scan.y1; cy++) {
+            for (let cx = scan.x0; cx <= scan.x1; cx++) {
+                if (this.occupancy.bomb[cy][cx]) scan.bombs++;
+            }
+        }
+
+        this.scans.push(scan);
+        return scan;
     }
 
     /**
-     * Removes a flag at the given position and returns it
-     * @param {number} x
-     * @param {number} y
-     * @returns {Flag|null} The removed flag, or null if none found
+     * Cycles the annotation mark on a hidden tile (none -> ? -> safe -> pins -> none)
+     * @param {number} x - Grid x coordinate
+     * @param {number} y - Grid y coordinate
+     * @returns {boolean} True if the mark changed
      */
-    removeFlag(x, y) {
-        const index = this.flags.findIndex(f => f.x === x && f.y === y);
-        if (index > -1) {
-            const flag = this.flags[index];
-            this.flags.splice(index, 1);
-            console.log(`Flag picked up at (${x}, ${y})`);
-            return flag;
+    cycleAnnotation(x, y) {
+        if (!this.isHidden(x, y) || !this.getTerrain(x, y).walkable) {
+            console.log('Can only annotate hidden tiles');
+            return false;
         }
-        return null;
-    }
+
+        this.annotations[y][x] = nextAnnotation(this.annotations[y][x]);
+        return true;
+    }
+
+    /**
+     * Gets the annotation mark on a tile
+     * @param {number} x
+     * @param {number} y
+     * @returns {string|null} ANNOTATION value, or null
+     */
+    getAnnotationAt(x, y) {
+        if (x < 0 || x >= this.width || y < 0 || y >= this.height) return null;
+        return this.annotations[y][x];
+    }
+
+    /**
+     * Checks the regular flags left in the room and removes them
+     * A flag is correct if a bomb is under it now (oracle flags are just removed).
+     * @returns {{correct: number, wrong: number}}
+     */
+    resolveFlags() {
+        const result = { correct: 0, wrong: 0 };
+
+        this.flags.forEach(flag => {
+            if (flag.isOracle) return;
+            if (this.occupancy.bomb[flag.y][flag.x]) result.correct++;
+            else result.wrong++;
+        });
+
+        this.flags = [];
+        return result;
+    }
+
+    /**
+     * Gets the flag at a specific position
+     * @param {number} x
+     * @param {number} y
+     * @returns {Flag|null}
+     */
+    getFlagAt(x, y) {
+        return this.flags.find(f => f.x === x && f.y === y) || null;
+    }
+
+    /**
+     * Removes a flag at the given position and returns it
+     * @param {number} x
+     * @param {number} y
+     * @returns {Flag|null} The removed flag, or null if none found
+     */
+    removeFlag(x, y) {
+        const index = this.flags.findIndex(f => f.x === x && f.y === y);
+        if (index > -1) {
+            const flag = this.flags[index];
+            this.flags.splice(index, 1);
+            console.log(`Flag picked up at (${x}, ${y})`);
+            return flag;
+        }
+        return null;
+    }
 
     /**
      * Checks if a position is valid for an entity (bomb or enemy)
@@ -789,30 +1326,30 @@ export class Room {
      * @returns {boolean}
      */
     isValidEntityPosition(x, y) {
-        // Must be a floor cell
-        if (this.grid[y][x] !== 0) return false;
+        // Must be a plain floor cell
+        if (this.grid[y][x] !== TERRAIN.FLOOR) return false;
 
-        // Check against existing bombs
-        if (this.bombs.some(b => b.x === x && b.y === y)) return false;
+        // Check against existing bombs, enemies and coins
+        if (this.hasEntityAt(x, y)) return false;
 
-        // Check against existing enemies
-        if (this.enemies.some(e => e.x === x && e.y === y)) return false;
-
-        // Check against existing coins
-        if (this.coins.some(c => c.x === x && c.y === y)) return false;
+        // Keep the area around the doors clear
+        return !this.isNearDoor(x, y);
+    }
 
-        // Check distance to entrance (3x3 area means within 1 cell distance)
-        // dx, dy <= 1 check covers the 3x3 centered on target
+    /**
+     * Checks if a position is within 2 cells of the entrance or an exit
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    isNearDoor(x, y) {
+        // Check distance to entrance (dx, dy <= 2 covers the 5x5 centered on it)
         if (Math.abs(x - this.entrancePos.x) <= 2 && Math.abs(y - this.entrancePos.y) <= 2) {
-            return false;
-        }
-
-        // Check distance to exit
-        if (Math.abs(x - this.exitPos.x) <= 2 && Math.abs(y - this.exitPos.y) <= 2) {
-            return false;
+            return true;
         }
 
-        return true;
+        // Check distance to exits
+        return this.exits.some(exit => Math.abs(x - exit.x) <= 2 && Math.abs(y - exit.y) <= 2);
     }
 
     /**
@@ -821,81 +1358,85 @@ export class Room {
     placeWalls() {
         // Top and bottom walls
         for (let x = 0; x < this.width; x++) {
-            this.grid[0][x] = 1; // Top wall
-            this.grid[this.height - 1][x] = 1; // Bottom wall
+            this.grid[0][x] = TERRAIN.WALL; // Top wall
+            this.grid[this.height - 1][x] = TERRAIN.WALL; // Bottom wall
         }
 
         // Left and right walls
         for (let y = 0; y < this.height; y++) {
-            this.grid[y][0] = 1; // Left wall
-            this.grid[y][this.width - 1] = 1; // Right wall
+            this.grid[y][0] = TERRAIN.WALL; // Left wall
+            this.grid[y][this.width - 1] = TERRAIN.WALL; // Right wall
         }
     }
 
     /**
-     * Places the entrance on the specified side
+     * Gets the door position (middle of the side) for a side of the room
+     * @param {string} side - SIDE value
+     * @returns {{x: number, y: number}}
      */
-    placeEntrance() {
-        let x, y;
-
-        switch (this.entranceSide) {
+    getDoorPosition(side) {
+        switch (side) {
             case SIDE.TOP:
-                x = Math.floor(this.width / 2);
-                y = 0;
-                break;
+                return { x: Math.floor(this.width / 2), y: 0 };
             case SIDE.RIGHT:
-                x = this.width - 1;
-                y = Math.floor(this.height / 2);
-                break;
+                return { x: this.width - 1, y: Math.floor(this.height / 2) };
             case SIDE.BOTTOM:
-                x = Math.floor(this.width / 2);
-                y = this.height - 1;
-                break;
+                return { x: Math.floor(this.width / 2), y: this.height - 1 };
             case SIDE.LEFT:
-                x = 0;
-                y = Math.floor(this.height / 2);
-                break;
+                return { x: 0, y: Math.floor(this.height / 2) };
         }
+        return null;
+    }
+
+    /**
+     * Places the entrance on the specified side
+     */
+    placeEntrance() {
+        const { x, y } = this.getDoorPosition(this.entranceSide);
 
         // Entrance is a floor cell, just track its position
-        this.grid[y][x] = 0; // Set to floor (overrides wall)
+        this.grid[y][x] = TERRAIN.FLOOR; // Set to floor (overrides wall)
         this.entrancePos = { x, y };
     }
 
-
     /**
-     * Places the exit on a valid side (not the same half as entrance)
+     * Places the exits on the requested sides, or one random valid side (not the entrance side)
      */
-    placeExit() {
-        const validSides = this.getValidExitSides();
+    placeExits() {
+        const sides = this.exitSides || [this.rng.pick(this.getValidExitSides())];
 
-        // Randomly choose from valid sides
-        const exitSide = validSides[Math.floor(Math.random() * validSides.length)];
+        this.exits = [];
+        sides.forEach(side => {
+            const { x, y } = this.getDoorPosition(side);
 
-        let x, y;
+            // Exit is a floor cell, just track its position
+            this.grid[y][x] = TERRAIN.FLOOR; // Set to floor (overrides wall)
+            this.exits.push({ side, x, y });
+        });
+    }
 
-        switch (exitSide) {
-            case SIDE.TOP:
-                x = Math.floor(this.width / 2);
-                y = 0;
-                break;
-            case SIDE.RIGHT:
-                x = this.width - 1;
-                y = Math.floor(this.height / 2);
-                break;
-            case SIDE.BOTTOM:
-                x = Math.floor(this.width / 2);
-                y = this.height - 1;
-                break;
-            case SIDE.LEFT:
-                x = 0;
-                y = Math.floor(this.height / 2);
-                break;
-        }
+    /**
+     * Links the door on one side of this room to a door of another room
+     * @param {string} side - Side of this room (entrance or exit side)
+     * @param {Room} room - Neighbouring room
+     * @param {string} targetSide - Side of the neighbouring room the door arrives at
+     */
+    linkDoor(side, room, targetSide) {
+        this.links[side] = { room, side: targetSide };
+    }
 
-        // Exit is a floor cell, just track its position
-        this.grid[y][x] = 0; // Set to floor (overrides wall)
-        this.exitPos = { x, y };
+    /**
+     * Gets the side of the door at a position, if any
+     * @param {number} x
+     * @param {number} y
+     * @returns {string|null} SIDE value of the entrance/exit at this position, or null
+     */
+    getDoorSideAt(x, y) {
+        if (this.entrancePos && x === this.entrancePos.x && y === this.entrancePos.y) {
+            return this.entranceSide;
+        }
+        const exit = this.exits.find(e => e.x === x && e.y === y);
+        return exit ? exit.side : null;
     }
 
     /**
@@ -956,24 +1497,26 @@ export class Room {
                 }
 
                 const cellType = this.grid[y][x];
+                const terrain = getTerrainType(cellType);
 
                 // Determine which sprite to draw
-                let sprite = null;
+                let sprite = terrain.sprite;
+
+                // Walkable terrain (floor, water, spikes...) sits on the cell's floor variant (0-5)
+                if (terrain.walkable) {
+                    const floorSprites = [
+                        SPRITES.FLOOR_1,
+                        SPRITES.FLOOR_2,
+                        SPRITES.FLOOR_3,
+                        SPRITES.FLOOR_4,
+                        SPRITES.FLOOR_5,
+                        SPRITES.FLOOR_6
+                    ];
+                    renderer.drawSprite(ctx, floorSprites[this.floorVariants[y][x]], pixelX, pixelY, scale);
+                }
 
                 switch (cellType) {
-                    case 0: // Floor cell (includes entrance and exit)
-                        // Use the randomly selected floor variant (0-5) for this cell
-                        const floorSprites = [
-                            SPRITES.FLOOR_1,
-                            SPRITES.FLOOR_2,
-                            SPRITES.FLOOR_3,
-                            SPRITES.FLOOR_4,
-                            SPRITES.FLOOR_5,
-                            SPRITES.FLOOR_6
-                        ];
-                        sprite = floorSprites[this.floorVariants[y][x]];
-                        break;
-                    case 1: // Wall
+                    case TERRAIN.WALL:
                         // Optimization: Don't render "buried" walls (surrounded by 8 walls)
                         // Check 8 neighbors
                         let allWalls = true;
@@ -990,20 +1533,20 @@ export class Room {
 
                                 // Get cell type. Out of bounds (-1) counts as wall (1 for our purposes here is effectively blocking)
                                 // or strictly, we can assume out of bounds is VALID wall context.
-                                let nType = 1; // Default to wall if out of bounds
+                                let nType = TERRAIN.WALL; // Default to wall if out of bounds
                                 if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
                                     nType = this.grid[ny][nx];
                                 }
 
-                                if (nType !== 1) {
+                                if (getTerrainType(nType).walkable) {
                                     allWalls = false;
                                     break checkNeighbors;
                                 }
                             }
                         }
 
-                        if (!allWalls) {
-                            sprite = SPRITES.WALL;
+                        if (allWalls) {
+                            sprite = null;
                         }
                         break;
                 }
@@ -1013,10 +1556,23 @@ export class Room {
                 }
 
                 // Render Hints
-                // If the cell does not contain an entity and hint > 0 and is not a wall
-                if (cellType !== 1 && !this.hasEntityAt(x, y) && cellCheckData) {
+                // If the cell does not contain an entity and hint > 0 and its terrain shows hints
+                if (!terrain.hidesHint && !this.hasEntityAt(x, y) && cellCheckData) {
                     const data = cellCheckData;
-                    if (data.hint > 0) {
+                    if (data.hint > 0 && this.hintMode.typed) {
+                        // Draw one small count per entity type, in the type's colour
+                        const counts = Object.keys(HINT_COLORS).filter(category => data.counts[category] > 0);
+                        const spacing = this.cellSize / 3;
+                        const startX = pixelX + this.cellSize / 2 - ((counts.length - 1) * spacing) / 2;
+
+                        ctx.font = '8px "Press Start 2P"';
+                        ctx.textAlign = 'center';
+                        ctx.textBaseline = 'middle';
+                        counts.forEach((category, index) => {
+                            ctx.fillStyle = HINT_COLORS[category];
+                            ctx.fillText(data.counts[category], startX + index * spacing, pixelY + this.cellSize / 2);
+                        });
+                    } else if (data.hint > 0) {
                         // Draw hint number
                         ctx.font = '10px "Press Start 2P"';
                         ctx.fillStyle = 'white';
@@ -1024,11 +1580,13 @@ export class Room {
                         ctx.textBaseline = 'middle';
                         ctx.fillText(data.hint, pixelX + this.cellSize / 2, pixelY + this.cellSize / 2);
 
-                        // Draw indicators
+                        // Draw indicators (only in modes that show them), one per category present
                         const indicators = [];
-                        if (data.hasNeighborBomb) indicators.push('red');
-                        if (data.hasNeighborEnemy) indicators.push('green');
-                        if (data.hasNeighborCoin) indicators.push('yellow');
+                        if (this.hintMode.dots) {
+                            Object.keys(HINT_COLORS).forEach(category => {
+                                if (data.counts[category] > 0) indicators.push(HINT_COLORS[category]);
+                            });
+                        }
 
                         if (indicators.length > 0) {
                             const circleY = pixelY + this.cellSize - 5;
@@ -1056,9 +1614,15 @@ export class Room {
             }
         });
 
-        // Render enemies
+        // Render lit explosives
+        this.explosives.forEach(explosive => {
+            explosive.render(ctx, renderer, this.cellSize, offsetX, offsetY);
+        });
+
+        // Render enemies and their telegraphed attacks (revealed enemies show through hidden tiles)
         this.enemies.forEach(enemy => {
-            if (!this.cellData[enemy.y][enemy.x].hidden) {
+            if (!this.cellData[enemy.y][enemy.x].hidden || enemy.statusEffects.isSeenThroughTiles()) {
+                enemy.renderTelegraph(ctx, this, offsetX, offsetY);
                 enemy.render(ctx, renderer, this.cellSize, offsetX, offsetY);
             }
         });
@@ -1075,12 +1639,44 @@ export class Room {
             flag.render(ctx, renderer, this.cellSize, offsetX, offsetY);
         });
 
+        // Render annotation marks (only hidden tiles keep them)
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const mark = this.annotations[y][x];
+                if (mark) {
+                    renderAnnotation(ctx, mark, offsetX + x * this.cellSize, offsetY + y * this.cellSize, this.cellSize);
+                }
+            }
+        }
+
+        // Render scouting results: the area outlined, with its bomb count (or ! / 0 for detectors)
+        this.scans.forEach(scan => {
+            const color = scan.bombs > 0 ? 'rgba(255, 80, 80, 0.9)' : 'rgba(80, 220, 120, 0.9)';
+            const left = offsetX + scan.x0 * this.cellSize;
+            const top = offsetY + scan.y0 * this.cellSize;
+
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(left + 1, top + 1, (scan.x1 - scan.x0 + 1) * this.cellSize - 2, (scan.y1 - scan.y0 + 1) * this.cellSize - 2);
+            ctx.setLineDash([]);
+
+            ctx.font = '8px "Press Start 2P"';
+            ctx.fillStyle = color;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            const label = scan.exact ? String(scan.bombs) : (scan.bombs > 0 ? '!' : '0');
+            ctx.fillText(label, left + 4, top + 4);
+            ctx.restore();
+        });
+
         // Render entrance/exit direction arrows
         this.renderDirectionArrows(ctx, offsetX, offsetY);
     }
 
     /**
-     * Renders directional triangles at entrance (pointing in) and exit (pointing out)
+     * Renders directional triangles at entrance (pointing in) and exits (pointing out)
      * @param {CanvasRenderingContext2D} ctx
      * @param {number} offsetX
      * @param {number} offsetY
@@ -1099,86 +1695,60 @@ export class Room {
             ctx.lineTo(arrowSize / 2, arrowSize / 2);
             ctx.lineTo(-arrowSize / 2, arrowSize / 2);
             ctx.closePath();
-            ctx.fillStyle = '#ffffff';
+            ctx.fillStyle = color;
             ctx.fill();
             ctx.restore();
         };
 
-        // Entrance arrow (green, pointing INTO the grid)
-        if (this.entrancePos) {
-            const ex = this.entrancePos.x;
-            const ey = this.entrancePos.y;
-            const centerX = offsetX + ex * this.cellSize + this.cellSize / 2;
-            const centerY = offsetY + ey * this.cellSize + this.cellSize / 2;
+        // Rotation of a triangle pointing OUT of the grid on each side
+        const outwardRotation = {
+            [SIDE.TOP]: 0,
+            [SIDE.RIGHT]: Math.PI / 2,
+            [SIDE.BOTTOM]: Math.PI,
+            [SIDE.LEFT]: -Math.PI / 2
+        };
 
-            let arrowX = centerX, arrowY = centerY, rotation = 0;
+        // Helper to draw the arrow just outside a door
+        const drawDoorArrow = (side, pos, pointsOut, color) => {
+            let arrowX = offsetX + pos.x * this.cellSize + this.cellSize / 2;
+            let arrowY = offsetY + pos.y * this.cellSize + this.cellSize / 2;
 
-            switch (this.entranceSide) {
+            switch (side) {
                 case SIDE.TOP:
                     arrowY = offsetY - arrowOffset;
-                    rotation = Math.PI; // Points down (into grid)
                     break;
                 case SIDE.BOTTOM:
                     arrowY = offsetY + this.height * this.cellSize + arrowOffset;
-                    rotation = 0; // Points up (into grid)
                     break;
                 case SIDE.LEFT:
                     arrowX = offsetX - arrowOffset;
-                    rotation = Math.PI / 2; // Points right (into grid)
                     break;
                 case SIDE.RIGHT:
                     arrowX = offsetX + this.width * this.cellSize + arrowOffset;
-                    rotation = -Math.PI / 2; // Points left (into grid)
                     break;
             }
 
-            drawTriangle(arrowX, arrowY, rotation);
-        }
-
-        // Exit arrow (yellow, pointing OUT of the grid)
-        if (this.exitPos) {
-            const ex = this.exitPos.x;
-            const ey = this.exitPos.y;
-            const centerX = offsetX + ex * this.cellSize + this.cellSize / 2;
-            const centerY = offsetY + ey * this.cellSize + this.cellSize / 2;
-
-            let arrowX = centerX, arrowY = centerY, rotation = 0;
-
-            // Determine exit side based on position
-            let exitSide;
-            if (ey === 0) exitSide = SIDE.TOP;
-            else if (ey === this.height - 1) exitSide = SIDE.BOTTOM;
-            else if (ex === 0) exitSide = SIDE.LEFT;
-            else exitSide = SIDE.RIGHT;
-
-            switch (exitSide) {
-                case SIDE.TOP:
-                    arrowY = offsetY - arrowOffset;
-                    rotation = 0; // Points up (out of grid)
-                    break;
-                case SIDE.BOTTOM:
-                    arrowY = offsetY + this.height * this.cellSize + arrowOffset;
-                    rotation = Math.PI; // Points down (out of grid)
-                    break;
-                case SIDE.LEFT:
-                    arrowX = offsetX - arrowOffset;
-                    rotation = -Math.PI / 2; // Points left (out of grid)
-                    break;
-                case SIDE.RIGHT:
-                    arrowX = offsetX + this.width * this.cellSize + arrowOffset;
-                    rotation = Math.PI / 2; // Points right (out of grid)
-                    break;
-            }
+            const rotation = outwardRotation[side] + (pointsOut ? 0 : Math.PI);
+            drawTriangle(arrowX, arrowY, rotation, color);
+        };
 
-            drawTriangle(arrowX, arrowY, rotation);
+        // Entrance arrow (pointing INTO the grid)
+        if (this.entrancePos) {
+            drawDoorArrow(this.entranceSide, this.entrancePos, false, '#ffffff');
         }
+
+        // Exit arrows (pointing OUT of the grid), stairs to the next level in yellow
+        this.exits.forEach(exit => {
+            const color = this.links[exit.side] ? '#ffffff' : '#ffcc00';
+            drawDoorArrow(exit.side, exit, true, color);
+        });
     }
 
     /**
      * Gets the cell type at a specific grid position
      * @param {number} x - Grid x coordinate
      * @param {number} y - Grid y coordinate
-     * @returns {number} Cell type (0-3)
+     * @returns {number} Cell type (TERRAIN value, -1 out of bounds)
      */
     getCellType(x, y) {
         if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
@@ -1191,7 +1761,7 @@ export class Room {
      * Sets the cell type at a specific grid position
      * @param {number} x - Grid x coordinate
      * @param {number} y - Grid y coordinate
-     * @param {number} type - Cell type to set
+     * @param {number} type - Cell type to set (TERRAIN value)
      */
     setCellType(x, y, type) {
         if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
@@ -1200,25 +1770,304 @@ export class Room {
     }
 
     /**
-     * Checks if a move is valid for the player
-     * @param {number} x 
-     * @param {number} y 
+     * Gets the terrain registry entry at a position (out of bounds counts as wall)
+     * @param {number} x
+     * @param {number} y
+     * @returns {Object} Entry of TERRAIN_TYPES
+     */
+    getTerrain(x, y) {
+        return getTerrainType(this.getCellType(x, y));
+    }
+
+    /**
+     * Checks if a cell can be walked on without harm (used by generation and path checks)
+     * @param {number} x
+     * @param {number} y
      * @returns {boolean}
      */
-    isValidMove(x, y) {
-        // Check bounds
-        if (x < 0 || x >= this.width || y < 0 || y >= this.height) {
-            return false;
+    isSafeGround(x, y) {
+        const terrain = this.getTerrain(x, y);
+        return terrain.walkable && !terrain.hazard;
+    }
+
+    /**
+     * Checks if an enemy may step on a cell (entities are not checked)
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    canEnemyEnter(x, y) {
+        const terrain = this.getTerrain(x, y);
+        return terrain.walkable && !terrain.blocksEnemies;
+    }
+
+    /**
+     * Applies the on-enter effect of the terrain at a position
+     * @param {Object} mover - { type: 'player' | 'enemy', entity }
+     * @param {number} x
+     * @param {number} y
+     * @returns {string} TERRAIN_EFFECT value
+     */
+    enterTerrain(mover, x, y) {
+        return this.getTerrain(x, y).onEnter(mover);
+    }
+
+    /**
+     * Wakes the sleeping enemies within earshot of a noise
+     * @param {number} x - Where the noise came from
+     * @param {number} y
+     * @param {number} radius - How far it carries (NOISE value)
+     * @returns {number} Number of enemies woken
+     */
+    makeNoise(x, y, radius) {
+        let woken = 0;
+
+        this.enemies.forEach(enemy => {
+            if (enemy.active) return;
+            if (Math.max(Math.abs(enemy.x - x), Math.abs(enemy.y - y)) > radius) return;
+
+            enemy.wake(this);
+            woken++;
+        });
+
+        if (woken > 0) {
+            console.log(`Noise woke ${woken} enemy(s)!`);
         }
+        return woken;
+    }
 
-        // Check walls (1 is wall)
-        if (this.grid[y][x] === 1) {
-            return false;
+    /**
+     * Checks whether nothing blocks the view between two cells: every cell strictly
+     * between them must be revealed terrain that can be walked on
+     * @param {number} x0
+     * @param {number} y0
+     * @param {number} x1
+     * @param {number} y1
+     * @returns {boolean}
+     */
+    hasLineOfSight(x0, y0, x1, y1) {
+        if (x0 === x1 && y0 === y1) return true;
+
+        // Bresenham's line from one cell to the other
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = Math.sign(x1 - x0);
+        const sy = Math.sign(y1 - y0);
+        let error = dx + dy;
+        let x = x0;
+        let y = y0;
+
+        while (true) {
+            const doubled = 2 * error;
+            if (doubled >= dy) { error += dy; x += sx; }
+            if (doubled <= dx) { error += dx; y += sy; }
+            if (x === x1 && y === y1) return true;
+
+            if (!this.getTerrain(x, y).walkable || this.isHidden(x, y)) return false;
+        }
+    }
+
+    /**
+     * Destroys destructible terrain (cracked walls) around an explosion
+     * Only walls turn into floor, so blasts never disconnect the room.
+     * @param {number} x - Center of the blast
+     * @param {number} y
+     * @param {number} radius - Blast radius in cells (square area)
+     * @returns {number} Number of tiles destroyed
+     */
+    applyBlast(x, y, radius = 1) {
+        let destroyed = 0;
+
+        this.makeNoise(x, y, NOISE.BLAST);
+
+        for (let ny = y - radius; ny <= y + radius; ny++) {
+            for (let nx = x - radius; nx <= x + radius; nx++) {
+                if (this.getTerrain(nx, ny).destructible) {
+                    this.grid[ny][nx] = TERRAIN.FLOOR;
+                    this.revealCell(nx, ny);
+                    destroyed++;
+                }
+            }
+        }
+
+        if (destroyed > 0) {
+            console.log(`Blast destroyed ${destroyed} cracked wall(s)`);
+        }
+        return destroyed;
+    }
+
+    /**
+     * Turns inner walls (not the room's border) around an explosion into floor. Only walls
+     * connected to the centre through the blast area break, so no unreachable floor appears.
+     * @param {number} x - Center of the blast (walkable)
+     * @param {number} y
+     * @param {number} radius - Blast radius in cells (square area)
+     * @returns {number} Number of walls broken
+     */
+    breakInnerWalls(x, y, radius) {
+        const inBlast = (nx, ny) => Math.abs(nx - x) <= radius && Math.abs(ny - y) <= radius &&
+            nx > 0 && nx < this.width - 1 && ny > 0 && ny < this.height - 1;
+        const isWall = (nx, ny) => this.grid[ny][nx] === TERRAIN.WALL || this.grid[ny][nx] === TERRAIN.CRACKED_WALL;
+
+        let broken = 0;
+        const visited = new Set([`${x},${y}`]);
+        const stack = [{ x, y }];
+
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            for (const [dx, dy] of CARDINAL_DIRS) {
+                const nx = cell.x + dx;
+                const ny = cell.y + dy;
+                const key = `${nx},${ny}`;
+                if (visited.has(key) || !inBlast(nx, ny)) continue;
+                if (!isWall(nx, ny) && !this.getTerrain(nx, ny).walkable) continue;
+
+                visited.add(key);
+                if (isWall(nx, ny)) {
+                    this.grid[ny][nx] = TERRAIN.FLOOR;
+                    broken++;
+                }
+                stack.push({ x: nx, y: ny });
+            }
         }
 
+        return broken;
+    }
+
+    /**
+     * Places a lit explosive on a walkable cell that shows no entity
+     * @param {number} x
+     * @param {number} y
+     * @param {number} fuse - Turns until it goes off
+     * @param {number} radius - Blast radius in cells (square area)
+     * @returns {boolean} True if it was placed
+     */
+    placeExplosive(x, y, fuse, radius) {
+        if (!this.getTerrain(x, y).walkable || this.getDoorSideAt(x, y)) return false;
+        if (this.hasEntityAt(x, y) && !this.isHidden(x, y)) return false;
+        if (this.explosives.some(explosive => explosive.x === x && explosive.y === y)) return false;
+
+        this.explosives.push(new Explosive(x, y, fuse, radius));
+        console.log(`Explosive placed at (${x}, ${y}), ${fuse} turns`);
         return true;
     }
 
+    /**
+     * Burns down the fuses of the lit explosives and sets off those that run out
+     * @param {Object} player - The player object (may be caught in the blasts)
+     * @returns {Object[]} Result of explode for each explosive that went off
+     */
+    tickExplosives(player) {
+        const results = [];
+
+        [...this.explosives].forEach(explosive => {
+            // Already set off by an earlier blast this turn
+            if (!this.explosives.includes(explosive) || !explosive.tick()) return;
+
+            this.explosives.splice(this.explosives.indexOf(explosive), 1);
+            results.push(this.explode(explosive.x, explosive.y, explosive.radius, player));
+        });
+
+        return results;
+    }
+
+    /**
+     * Sets off an explosion: enemies in it are destroyed (bosses are hurt and set on fire),
+     * bombs and explosives in it go off in turn, inner walls break and every tile it hits is
+     * revealed (empty ones open up like a flood fill). Flags in it are checked on the spot,
+     * as at the stairs, since the blast clears what was under them.
+     * @param {number} x - Center of the explosion
+     * @param {number} y
+     * @param {number} radius - Blast radius in cells (square area)
+     * @param {Object} player - The player object (may be caught in the blast)
+     * @returns {{cells: Object[], enemies: number, bombs: number, walls: number, correctFlags: number,
+     *            wrongFlags: number, playerHit: boolean}} playerHit is set once however many blasts reach the player
+     */
+    explode(x, y, radius, player) {
+        const result = { cells: [], enemies: 0, bombs: 0, walls: 0, correctFlags: 0, wrongFlags: 0, playerHit: false };
+        const hitEnemies = new Set();
+        const blasts = [{ x, y, radius }];
+
+        while (blasts.length > 0) {
+            const blast = blasts.shift();
+            result.walls += this.applyBlast(blast.x, blast.y, blast.radius);
+            result.walls += this.breakInnerWalls(blast.x, blast.y, blast.radius);
+
+            if (Math.abs(player.x - blast.x) <= blast.radius && Math.abs(player.y - blast.y) <= blast.radius) {
+                result.playerHit = true;
+            }
+
+            for (let ny = blast.y - blast.radius; ny <= blast.y + blast.radius; ny++) {
+                for (let nx = blast.x - blast.radius; nx <= blast.x + blast.radius; nx++) {
+                    if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) continue;
+
+                    result.cells.push({ x: nx, y: ny });
+                    this.revealCell(nx, ny);
+
+                    // Checked before the bomb under it goes off (oracle flags are just removed)
+                    const flag = this.getFlagAt(nx, ny);
+                    if (flag) {
+                        this.flags.splice(this.flags.indexOf(flag), 1);
+                        if (!flag.isOracle && this.occupancy.bomb[ny][nx]) result.correctFlags++;
+                        else if (!flag.isOracle) result.wrongFlags++;
+                    }
+
+                    const bomb = this.occupancy.bomb[ny][nx];
+                    if (bomb) {
+                        // Chain: the bomb goes off with its own (small) blast
+                        this.detachEntity({ type: 'bomb', entity: bomb });
+                        result.bombs++;
+                        blasts.push({ x: nx, y: ny, radius: 1 });
+                    }
+
+                    const enemy = this.occupancy.enemy[ny][nx];
+                    if (enemy && !hitEnemies.has(enemy)) {
+                        hitEnemies.add(enemy);
+                        if (!enemy.isBoss || enemy.takeDamage(1) <= 0) {
+                            this.detachEntity({ type: 'enemy', entity: enemy });
+                            result.enemies++;
+                        } else {
+                            enemy.statusEffects.add(STATUS_EFFECT.BURNING, BLAST_BURN_TURNS);
+                        }
+                    }
+
+                    const explosive = this.explosives.find(e => e.x === nx && e.y === ny);
+                    if (explosive) {
+                        this.explosives.splice(this.explosives.indexOf(explosive), 1);
+                        blasts.push({ x: nx, y: ny, radius: explosive.radius });
+                    }
+                }
+            }
+        }
+
+        console.log(`Explosion! ${result.enemies} enemy(s), ${result.bombs} bomb(s), ${result.walls} wall(s)`);
+        this.calculateHints();
+
+        // Empty tiles the blast uncovered open up, as when chording
+        result.cells.forEach(cell => {
+            if (!this.hasEntityAt(cell.x, cell.y) && this.cellData[cell.y][cell.x].hint === 0 &&
+                !this.getTerrain(cell.x, cell.y).hidesHint) {
+                this.floodFillUnhide(cell.x, cell.y);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Checks if a move is valid for the player
+     * @param {number} x 
+     * @param {number} y 
+     * @returns {boolean}
+     */
+    isValidMove(x, y) {
+        // Visible enemies that survive their own attacks (e.g. bosses) have to be fought, not walked into
+        const entityObj = this.getEntityAt(x, y);
+        if (entityObj && entityObj.type === 'enemy' && !entityObj.entity.diesOnAttack && !this.isHidden(x, y)) return false;
+
+        // Out of bounds counts as wall; walls and cracked walls block
+        return this.getTerrain(x, y).walkable;
+    }
+
     /**
      * Handles logic when player enters a tile
      * @param {number} x 
@@ -1245,12 +2094,32 @@ export class Room {
         }
 
         const isEntrance = this.entrancePos && x === this.entrancePos.x && y === this.entrancePos.y;
-        const isExit = this.exitPos && x === this.exitPos.x && y === this.exitPos.y;
+        const isExit = this.exits.some(exit => x === exit.x && y === exit.y);
+
+        // Doors linked to another room lead there (including back through the entrance)
+        const doorSide = this.getDoorSideAt(x, y);
+        if (doorSide && this.links[doorSide]) {
+            return PLAYER_MOVE_RESULT.REACHED_DOOR;
+        }
 
+        // An unlinked exit is the staircase down to the next level (sealed while a boss lives)
         if (isExit) {
+            if (this.isBossAlive()) {
+                console.log(`The stairs are sealed until ${this.boss.name} is defeated!`);
+                return PLAYER_MOVE_RESULT.NORMAL;
+            }
             return PLAYER_MOVE_RESULT.REACHED_EXIT;
         }
 
+        // Terrain effects (hazards never hold entities)
+        const terrainEffect = this.enterTerrain({ type: 'player', entity: null }, x, y);
+        if (terrainEffect === TERRAIN_EFFECT.FALL) {
+            return PLAYER_MOVE_RESULT.PIT;
+        }
+        if (terrainEffect === TERRAIN_EFFECT.DAMAGE) {
+            return PLAYER_MOVE_RESULT.SPIKES;
+        }
+
         const entityObj = this.getEntityAt(x, y);
         if (!entityObj) {
             // no entity is at this tile
@@ -1258,7 +2127,7 @@ export class Room {
                 // Check if we should flood fill
                 const cellData = this.cellData[y][x];
                 // If tile is empty (hint 0) and has no entities, flood fill
-                if (cellData.hint === 0) {
+                if (cellData.hint === 0 && !this.getTerrain(x, y).hidesHint) {
                     this.floodFillUnhide(x, y);
                 }
             };
@@ -1273,11 +2142,13 @@ export class Room {
 
         if (entityObj.type === 'bomb') {
             this.removeEntity(entityObj);
+            this.applyBlast(x, y);
             return PLAYER_MOVE_RESULT.BOMB;
         }
 
         if (entityObj.type === 'enemy') {
-            this.removeEntity(entityObj);
+            // Enemies that survive their own attack stay where they are
+            if (entityObj.entity.diesOnAttack) this.removeEntity(entityObj);
             return PLAYER_MOVE_RESULT.ENEMY;
         }
 
@@ -1285,50 +2156,120 @@ export class Room {
     }
 
     /**
-     * Recursively unhides tiles starting from x, y
-     * @param {number} x 
-     * @param {number} y 
-     * @param {Set<string>} visited - To keep track of visited cells in this recursion
+     * Chords a revealed hint tile: once the flags and visible entities around it add up
+     * to its hint, every other hidden neighbour is revealed at once.
+     * Wrong flags are punished as if the player had stepped there: revealed bombs
+     * explode and revealed enemies strike (bombs are removed, enemies only if spent by their attack).
+     * @param {number} x
+     * @param {number} y
+     * @returns {{revealed: number, bombs: number, enemies: number, enemyDamage: number}|null} null if nothing was chorded
      */
-    floodFillUnhide(x, y, visited = new Set()) {
-        const key = `${x},${y}`;
-        if (visited.has(key)) return;
-        visited.add(key);
+    chord(x, y) {
+        if (this.isHidden(x, y) || this.getTerrain(x, y).hidesHint || this.hasEntityAt(x, y)) {
+            return null;
+        }
 
-        // Reveal this cell
-        this.revealCell(x, y);
+        const hint = this.cellData[y][x].hint;
+        if (hint === 0) return null;
+
+        // Count what is already accounted for and collect the tiles left to open
+        let accounted = 0;
+        const toReveal = [];
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if (dx === 0 && dy === 0) continue;
+                const nx = x + dx;
+                const ny = y + dy;
+                if (!this.getTerrain(nx, ny).walkable) continue;
+
+                if (this.getFlagAt(nx, ny)) {
+                    accounted++;
+                } else if (this.isHidden(nx, ny)) {
+                    toReveal.push({ x: nx, y: ny });
+                } else if (this.isCountedByHints(this.getEntityAt(nx, ny))) {
+                    accounted++;
+                }
+            }
+        }
 
-        // If this cell has a hint > 0, we stop recursing (but we still revealed it above)
-        // Also stop if it's a wall or entity (though revealCell handles validity)
-        if (this.cellData[y][x].hint > 0 || this.hasEntityAt(x, y) || this.grid[y][x] === 1) {
-            return;
+        if (accounted !== hint) {
+            console.log(`Cannot chord: ${accounted}/${hint} neighbours flagged or known`);
+            return null;
         }
+        if (toReveal.length === 0) return null;
 
-        // Check cardinal neighbors (full recursion)
-        const cardinalDirs = [[0, 1], [0, -1], [1, 0], [-1, 0]];
-        for (const [dx, dy] of cardinalDirs) {
-            const nx = x + dx;
-            const ny = y + dy;
+        const result = { revealed: 0, bombs: 0, enemies: 0, enemyDamage: 0 };
+        toReveal.forEach(pos => {
+            // An earlier flood fill may already have opened this tile
+            if (!this.isHidden(pos.x, pos.y)) return;
 
-            if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-                // We only recursively call if the CURRENT cell was a 0.
-                // The stopping condition is handled at the start of the next call or after revealing.
-                this.floodFillUnhide(nx, ny, visited);
+            this.revealCell(pos.x, pos.y);
+            result.revealed++;
+
+            const entityObj = this.getEntityAt(pos.x, pos.y);
+            if (!entityObj) {
+                if (this.cellData[pos.y][pos.x].hint === 0 && !this.getTerrain(pos.x, pos.y).hidesHint) {
+                    this.floodFillUnhide(pos.x, pos.y);
+                }
+            } else if (entityObj.type === 'bomb') {
+                this.removeEntity(entityObj);
+                this.applyBlast(pos.x, pos.y);
+                result.bombs++;
+            } else if (entityObj.type === 'enemy') {
+                if (entityObj.entity.diesOnAttack) this.removeEntity(entityObj);
+                result.enemies++;
+                result.enemyDamage += entityObj.entity.damage;
             }
-        }
+        });
 
-        // Check diagonal neighbors (only reveal if they have hint > 0)
-        const diagonalDirs = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
-        for (const [dx, dy] of diagonalDirs) {
-            const nx = x + dx;
-            const ny = y + dy;
+        return result;
+    }
 
-            if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-                const diagonalCell = this.cellData[ny][nx];
-                // Only reveal diagonal tiles if they have a hint > 0 (do not recurse into them)
-                if (diagonalCell && diagonalCell.hint > 0 && !visited.has(`${nx},${ny}`)) {
-                    visited.add(`${nx},${ny}`);
-                    this.revealCell(nx, ny);
+    /**
+     * Unhides tiles starting from x, y, spreading through empty (hint 0) tiles
+     * @param {number} x 
+     * @param {number} y 
+     */
+    floodFillUnhide(x, y) {
+        // Iterative (explicit stack) so large rooms cannot overflow the call stack
+        const visited = new Uint8Array(this.width * this.height);
+        const stack = [{ x, y }];
+        visited[y * this.width + x] = 1;
+
+        while (stack.length > 0) {
+            const curr = stack.pop();
+
+            // Reveal this cell
+            this.revealCell(curr.x, curr.y);
+
+            // If this cell has a hint > 0, we stop expanding (but we still revealed it above)
+            // Also stop if it's an entity, a wall or terrain hiding its hint
+            if (this.cellData[curr.y][curr.x].hint > 0 || this.hasEntityAt(curr.x, curr.y) || this.getTerrain(curr.x, curr.y).hidesHint) {
+                continue;
+            }
+
+            // Expand to cardinal neighbors
+            for (const [dx, dy] of CARDINAL_DIRS) {
+                const nx = curr.x + dx;
+                const ny = curr.y + dy;
+
+                if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height && !visited[ny * this.width + nx]) {
+                    visited[ny * this.width + nx] = 1;
+                    stack.push({ x: nx, y: ny });
+                }
+            }
+
+            // Check diagonal neighbors (only reveal if they have hint > 0, do not expand into them)
+            for (const [dx, dy] of DIAGONAL_DIRS) {
+                const nx = curr.x + dx;
+                const ny = curr.y + dy;
+
+                if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
+                    const diagonalCell = this.cellData[ny][nx];
+                    if (diagonalCell && diagonalCell.hint > 0 && !visited[ny * this.width + nx]) {
+                        visited[ny * this.width + nx] = 1;
+                        this.revealCell(nx, ny);
+                    }
                 }
             }
         }
@@ -1355,6 +2296,7 @@ export class Room {
     revealCell(x, y) {
         if (x >= 0 && x < this.width && y >= 0 && y < this.height && this.cellData[y][x]) {
             this.cellData[y][x].hidden = false;
+            this.annotations[y][x] = null; // Marks only make sense on hidden tiles
         }
     }
 }
@@ -0,0 +1,167 @@
+// Handcrafted room templates
+// Templates are JSON files listed in assets/rooms/index.json.
+// Layout rows use '#' for walls and '.' for floor, plus '~' water, '^' spikes,
+// '%' cracked walls and 'O' pits (see Terrain.js). Doors are always cut in the
+// middle of their side, so those border cells are opened by the room itself.
+//
+// {
+//   "name": "pillars",
+//   "layout": ["#####", "#...#", "#####"],
+//   "entranceSide": "LEFT",          // optional, null/missing = any side
+//   "exitSides": ["RIGHT"],          // optional, null/missing = any sides
+//   "bombs": [{ "x": 3, "y": 4 }],   // optional pinned entities
+//   "enemies": [{ "x": 5, "y": 5, "kind": "VERTICAL" }],
+//   "coins": [{ "x": 6, "y": 2 }],
+//   "bombCount": 10,                 // optional totals, pinned entities included
+//   "enemyCount": 2,                 // (default: number of pinned entities)
+//   "coinCount": 1
+// }
+
+import { SIDE } from './Room.js';
+import { TERRAIN } from './Terrain.js';
+
+export const ROOM_TEMPLATE_INDEX = './assets/rooms/index.json';
+
+// Layout characters and the terrain they stand for
+const TILE_CHARS = {
+    '.': TERRAIN.FLOOR,
+    '#': TERRAIN.WALL,
+    '~': TERRAIN.WATER,
+    '^': TERRAIN.SPIKES,
+    '%': TERRAIN.CRACKED_WALL,
+    'O': TERRAIN.PIT
+};
+
+const VALID_SIDES = Object.values(SIDE);
+
+/**
+ * Validates raw template JSON and converts it to the shape Room expects
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} Template { name, width, height, tiles, entranceSide, exitSides,
+ *                              bombs, enemies, coins, bombCount, enemyCount, coinCount }
+ */
+export function parseRoomTemplate(data) {
+    const name = data.name || 'unnamed';
+    const layout = data.layout;
+
+    if (!Array.isArray(layout) || layout.length < 5) {
+        throw new Error(`Room template '${name}': layout must have at least 5 rows`);
+    }
+
+    const width = layout[0].length;
+    if (width < 5 || layout.some(row => row.length !== width)) {
+        throw new Error(`Room template '${name}': layout rows must all be the same length (at least 5)`);
+    }
+
+    // TERRAIN id per cell
+    const tiles = layout.map((row, y) => [...row].map((char, x) => {
+        if (!(char in TILE_CHARS)) {
+            throw new Error(`Room template '${name}': unknown tile '${char}' at (${x}, ${y})`);
+        }
+        return TILE_CHARS[char];
+    }));
+
+    const entranceSide = data.entranceSide || null;
+    const exitSides = data.exitSides || null;
+    [entranceSide, ...(exitSides || [])].forEach(side => {
+        if (side !== null && !VALID_SIDES.includes(side)) {
+            throw new Error(`Room template '${name}': invalid side '${side}'`);
+        }
+    });
+
+    // Pinned entities must sit on inner floor cells
+    const checkPositions = (list, label) => (list || []).map(pos => {
+        const inside = pos.x > 0 && pos.x < width - 1 && pos.y > 0 && pos.y < layout.length - 1;
+        if (!inside || tiles[pos.y][pos.x] !== TERRAIN.FLOOR) {
+            throw new Error(`Room template '${name}': ${label} at (${pos.x}, ${pos.y}) is not on an inner floor cell`);
+        }
+        return { ...pos };
+    });
+
+    const bombs = checkPositions(data.bombs, 'bomb');
+    const enemies = checkPositions(data.enemies, 'enemy');
+    const coins = checkPositions(data.coins, 'coin');
+
+    return {
+        name,
+        width,
+        height: layout.length,
+        tiles,
+        entranceSide,
+        exitSides,
+        bombs,
+        enemies,
+        coins,
+        bombCount: Math.max(data.bombCount || 0, bombs.length),
+        enemyCount: Math.max(data.enemyCount || 0, enemies.length),
+        coinCount: Math.max(data.coinCount || 0, coins.length)
+    };
+}
+
+/**
+ * Loads every template listed in the index file
+ * Broken templates are reported and skipped.
+ * @param {string} indexPath - Path of the index JSON (an array of file names)
+ * @returns {Promise<Map<string, Object>>} Templates by name
+ */
+export async function loadRoomTemplates(indexPath = ROOM_TEMPLATE_INDEX) {
+    const templates = new Map();
+    const baseUrl = indexPath.slice(0, indexPath.lastIndexOf('/') + 1);
+
+    let files = [];
+    try {
+        const response = await fetch(indexPath);
+        files = await response.json();
+    } catch (err) {
+        console.error(`Failed to load room template index: ${indexPath}`, err);
+        return templates;
+    }
+
+    for (const file of files) {
+        try {
+            const response = await fetch(baseUrl + file);
+            const template = parseRoomTemplate(await response.json());
+            templates.set(template.name, template);
+        } catch (err) {
+            console.error(`Failed to load room template: ${file}`, err);
+        }
+    }
+
+    console.log(`Loaded ${templates.size} room templates`);
+    return templates;
+}
+
+/**
+ * Checks whether a template can be used with the door sides a floor needs
+ * @param {Object} template
+ * @param {string} entranceSide
+ * @param {string[]} exitSides
+ * @returns {boolean}
+ */
+export function isTemplateCompatible(template, entranceSide, exitSides) {
+    if (template.entranceSide && template.entranceSide !== entranceSide) return false;
+
+    if (template.exitSides) {
+        if (template.exitSides.length !== exitSides.length) return false;
+        if (!exitSides.every(side => template.exitSides.includes(side))) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Picks a random compatible template from a pool
+ * @param {Random} rng
+ * @param {Map<string, Object>} templates - Loaded templates
+ * @param {string[]} names - Pool of template names to pick from
+ * @param {string} entranceSide
+ * @param {string[]} exitSides
+ * @returns {Object|null} A template, or null if none fits
+ */
+export function pickRoomTemplate(rng, templates, names, entranceSide, exitSides) {
+    const candidates = names
+        .map(name => templates.get(name))
+        .filter(template => template && isTemplateCompatible(template, entranceSide, exitSides));
+
+    return candidates.length > 0 ? rng.pick(candidates) : null;
+}
@@ -48,6 +48,10 @@ export class SoundManager {
         noise.start();
     };
     playDamage() { this.playTone(100, 'sawtooth', 0.3, 0.2) };
+    playExplosion() {
+        this.playTone(60, 'sawtooth', 0.5, 0.25);
+        this.playAttack();
+    };
     // playWin() {
         // [400, 500, 600, 800].forEach((f, i) => setTimeout(() => this.playTone(f, 'square', 0.2, 0.1), i * 100));
     // };
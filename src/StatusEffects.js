@@ -0,0 +1,174 @@
+// Status effects
+// Timed conditions on the player and enemies, declared as data. Each actor keeps a
+// StatusEffects list that ticks at the start of each of its actions (see TurnScheduler)
+// and draws its effects as small icons over the actor's sprite.
+
+/**
+ * Status effect types
+ * - name: shown in the HUD
+ * - icon / color: letter and colour of the badge drawn over the sprite
+ * - skipsTurn: the actor loses its actions while it lasts
+ * - damage / damageEvery: health lost every damageEvery turns
+ * - blocksDamage: hits (and the effects they carry) do nothing while it lasts
+ * - speedMultiplier: scales the actor's speed
+ * - seenThroughTiles: the actor is drawn even under hidden tiles
+ */
+export const STATUS_EFFECT = {
+    STUN: {
+        name: 'Stunned',
+        icon: 'Z',
+        color: '#ffee55',
+        skipsTurn: true
+    },
+    POISON: {
+        name: 'Poisoned',
+        icon: 'P',
+        color: '#66dd44',
+        damage: 1,
+        damageEvery: 3
+    },
+    // Put out by water
+    BURNING: {
+        name: 'Burning',
+        icon: 'F',
+        color: '#ff7722',
+        damage: 1,
+        damageEvery: 1
+    },
+    SHIELDED: {
+        name: 'Shielded',
+        icon: 'S',
+        color: '#66bbff',
+        blocksDamage: true
+    },
+    REVEALED: {
+        name: 'Revealed',
+        icon: 'R',
+        color: '#ff66ff',
+        seenThroughTiles: true
+    },
+    HASTE: {
+        name: 'Hasted',
+        icon: 'H',
+        color: '#ffffff',
+        speedMultiplier: 2
+    },
+    SLOW: {
+        name: 'Slowed',
+        icon: 'L',
+        color: '#8888aa',
+        speedMultiplier: 0.5
+    }
+};
+
+export class StatusEffects {
+    constructor() {
+        // Active effects: { effect, turns (left), elapsed (turns ticked so far) }
+        this.active = [];
+    }
+
+    /**
+     * Adds an effect, or extends it if the actor already has it
+     * @param {Object} effect - STATUS_EFFECT value
+     * @param {number} turns - How many of the actor's turns it lasts
+     */
+    add(effect, turns) {
+        const existing = this.active.find(entry => entry.effect === effect);
+        if (existing) {
+            existing.turns = Math.max(existing.turns, turns);
+        } else {
+            this.active.push({ effect, turns, elapsed: 0 });
+        }
+    }
+
+    /**
+     * Ends an effect early
+     * @param {Object} effect - STATUS_EFFECT value
+     */
+    remove(effect) {
+        this.active = this.active.filter(entry => entry.effect !== effect);
+    }
+
+    /**
+     * @param {Object} effect - STATUS_EFFECT value
+     * @returns {boolean} True if the effect is active
+     */
+    has(effect) {
+        return this.active.some(entry => entry.effect === effect);
+    }
+
+    /**
+     * @returns {boolean} True if an active effect blocks damage
+     */
+    blocksDamage() {
+        return this.active.some(entry => entry.effect.blocksDamage);
+    }
+
+    /**
+     * @returns {boolean} True if an active effect makes the actor visible under hidden tiles
+     */
+    isSeenThroughTiles() {
+        return this.active.some(entry => entry.effect.seenThroughTiles);
+    }
+
+    /**
+     * @returns {number} Product of the active effects' speed multipliers
+     */
+    getSpeedMultiplier() {
+        return this.active.reduce((multiplier, entry) => multiplier * (entry.effect.speedMultiplier || 1), 1);
+    }
+
+    /**
+     * Advances every effect by one turn: deals damage over time to the actor and drops
+     * expired effects. Called at the start of each of the actor's actions.
+     * @param {Object} actor - The player or enemy holding the effects (needs takeDamage)
+     * @returns {boolean} True if the actor loses this action (e.g. stunned)
+     */
+    tick(actor) {
+        let skipsTurn = false;
+        let damage = 0;
+
+        this.active.forEach(entry => {
+            entry.elapsed++;
+            entry.turns--;
+
+            if (entry.effect.skipsTurn) skipsTurn = true;
+            if (entry.effect.damage && entry.elapsed % entry.effect.damageEvery === 0) {
+                damage += entry.effect.damage;
+            }
+        });
+        this.active = this.active.filter(entry => entry.turns > 0);
+
+        if (damage > 0) {
+            actor.takeDamage(damage);
+        }
+        return skipsTurn;
+    }
+
+    /**
+     * Renders a badge per active effect along the top of the actor's sprite
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} pixelX - Left of the actor's sprite (in pixels)
+     * @param {number} pixelY - Top of the actor's sprite (in pixels)
+     * @param {number} width - Width of the actor's sprite (in pixels)
+     */
+    render(ctx, pixelX, pixelY, width) {
+        if (this.active.length === 0) return;
+
+        const size = 8;
+        const startX = pixelX + width / 2 - (this.active.length * size) / 2;
+
+        ctx.save();
+        ctx.font = '6px "Press Start 2P"';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.active.forEach((entry, index) => {
+            const x = startX + index * size;
+            ctx.fillStyle = entry.effect.color;
+            ctx.fillRect(x, pixelY - size / 2, size - 1, size - 1);
+            ctx.fillStyle = 'black';
+            ctx.fillText(entry.effect.icon, x + (size - 1) / 2, pixelY + 0.5);
+        });
+        ctx.restore();
+    }
+}
@@ -0,0 +1,113 @@
+// Terrain registry
+// Every cell of Room.grid holds a TERRAIN id. Rooms, enemies and the solver ask the
+// registry what a tile does instead of comparing raw grid values.
+
+import { SPRITES } from './rendering/spriteDefinitions.js';
+import { STATUS_EFFECT } from './StatusEffects.js';
+
+// Terrain ids stored in Room.grid
+export const TERRAIN = {
+    FLOOR: 0,
+    WALL: 1,
+    WATER: 2,
+    SPIKES: 3,
+    CRACKED_WALL: 4,
+    PIT: 5
+};
+
+// What entering a tile does to whoever stepped on it
+export const TERRAIN_EFFECT = {
+    NONE: 'NONE',
+    DAMAGE: 'DAMAGE',  // Lose 1 health
+    FALL: 'FALL'       // Drop to the next level (enemies are lost)
+};
+
+/**
+ * Tile types by TERRAIN id
+ * - walkable: the player can stand on it
+ * - blocksEnemies: enemies never step on it
+ * - hazard: hurts or removes whoever enters (kept off the safe route to the exits)
+ * - hidesHint: the tile's own hint number is not shown
+ * - destructible: blasts turn it into floor
+ * - sprite: drawn for the tile (null = the room's floor variant)
+ * - onEnter(mover): mover is { type: 'player' | 'enemy', entity }, returns a TERRAIN_EFFECT
+ *   (status effects go straight onto an enemy's mover.entity)
+ */
+export const TERRAIN_TYPES = {
+    [TERRAIN.FLOOR]: {
+        name: 'Floor',
+        walkable: true,
+        blocksEnemies: false,
+        hazard: false,
+        hidesHint: false,
+        destructible: false,
+        sprite: null,
+        onEnter: () => TERRAIN_EFFECT.NONE
+    },
+    [TERRAIN.WALL]: {
+        name: 'Wall',
+        walkable: false,
+        blocksEnemies: true,
+        hazard: false,
+        hidesHint: true,
+        destructible: false,
+        sprite: SPRITES.WALL,
+        onEnter: () => TERRAIN_EFFECT.NONE
+    },
+    [TERRAIN.WATER]: {
+        name: 'Water',
+        walkable: true,
+        blocksEnemies: false,
+        hazard: false,
+        hidesHint: true,
+        destructible: false,
+        sprite: SPRITES.WATER,
+        // Wading enemies are stunned for their next turn, and put out if burning
+        onEnter: (mover) => {
+            if (mover.type === 'enemy') {
+                mover.entity.statusEffects.remove(STATUS_EFFECT.BURNING);
+                mover.entity.statusEffects.add(STATUS_EFFECT.STUN, 1);
+            }
+            return TERRAIN_EFFECT.NONE;
+        }
+    },
+    [TERRAIN.SPIKES]: {
+        name: 'Spikes',
+        walkable: true,
+        blocksEnemies: true,
+        hazard: true,
+        hidesHint: false,
+        destructible: false,
+        sprite: SPRITES.SPIKES,
+        onEnter: () => TERRAIN_EFFECT.DAMAGE
+    },
+    [TERRAIN.CRACKED_WALL]: {
+        name: 'Cracked Wall',
+        walkable: false,
+        blocksEnemies: true,
+        hazard: false,
+        hidesHint: true,
+        destructible: true,
+        sprite: SPRITES.CRACKED_WALL,
+        onEnter: () => TERRAIN_EFFECT.NONE
+    },
+    [TERRAIN.PIT]: {
+        name: 'Pit',
+        walkable: true,
+        blocksEnemies: true,
+        hazard: true,
+        hidesHint: true,
+        destructible: false,
+        sprite: SPRITES.PIT,
+        onEnter: () => TERRAIN_EFFECT.FALL
+    }
+};
+
+/**
+ * Gets the registry entry for a terrain id (unknown ids behave like walls)
+ * @param {number} type - TERRAIN value
+ * @returns {Object}
+ */
+export function getTerrainType(type) {
+    return TERRAIN_TYPES[type] || TERRAIN_TYPES[TERRAIN.WALL];
+}
@@ -0,0 +1,94 @@
+// Turn scheduler
+// Energy-based turn order for the player and the enemies. Every tick each actor gains
+// energy equal to its speed and acts once for every ACTION_COST it has saved up, so a
+// slow actor acts every other tick and a fast one twice. The scheduler runs ticks until
+// the player can act again, then hands control back for the player's input. Status
+// effects tick at the start of each action; a stunned actor loses the action.
+
+// Energy gained per tick (set an actor's speed to one of these, or anything in between)
+export const SPEED = {
+    SLOW: 50,
+    NORMAL: 100,
+    FAST: 200
+};
+
+// Energy spent by one action
+export const ACTION_COST = 100;
+
+// Ticks run at most per player action (stops a player with no speed from locking the game)
+const MAX_TICKS_PER_TURN = 10;
+
+export class TurnScheduler {
+    /**
+     * Spends the player's action and lets the enemies act until it is the player's turn again
+     * @param {Object} player - The player object
+     * @param {Room} room - The room the player is in
+     * @returns {boolean} True if any enemy moved or acted (hints have been recalculated)
+     */
+    endPlayerTurn(player, room) {
+        player.energy -= ACTION_COST;
+
+        let anyEnemyMoved = false;
+        let ticks = 0;
+
+        while (player.health > 0 && ticks < MAX_TICKS_PER_TURN) {
+            if (player.energy >= ACTION_COST) {
+                // The player's next action starts: wait for input unless stunned
+                if (!player.statusEffects.tick(player)) break;
+
+                console.log('Stunned! Turn skipped.');
+                player.energy -= ACTION_COST;
+                continue;
+            }
+
+            player.energy += player.getSpeed();
+            room.enemies.forEach(enemy => { enemy.energy += enemy.getSpeed(); });
+
+            if (this.runEnemies(player, room)) {
+                anyEnemyMoved = true;
+            }
+            ticks++;
+        }
+
+        if (anyEnemyMoved) {
+            room.calculateHints();
+        }
+        return anyEnemyMoved;
+    }
+
+    /**
+     * Lets every enemy with enough energy act, most energy first (ties keep spawn order)
+     * @param {Object} player - The player object
+     * @param {Room} room - The current room
+     * @returns {boolean} True if any enemy moved or acted
+     */
+    runEnemies(player, room) {
+        let anyEnemyMoved = false;
+
+        // Copy the list: enemies can be removed (suicide attacks) or summoned while acting
+        const ready = room.enemies
+            .filter(enemy => enemy.energy >= ACTION_COST)
+            .sort((a, b) => b.energy - a.energy);
+
+        for (const enemy of ready) {
+            while (enemy.energy >= ACTION_COST && room.enemies.includes(enemy) && player.health > 0) {
+                enemy.energy -= ACTION_COST;
+                const skipsTurn = enemy.statusEffects.tick(enemy);
+
+                // Damage over time can finish it off
+                if (enemy.health <= 0) {
+                    console.log('Enemy succumbed!');
+                    room.removeEntity({ type: 'enemy', entity: enemy });
+                    anyEnemyMoved = true;
+                    break;
+                }
+
+                if (!skipsTurn && enemy.takeTurn(player, room)) {
+                    anyEnemyMoved = true;
+                }
+            }
+        }
+
+        return anyEnemyMoved;
+    }
+}
@@ -1,3 +1,31 @@
+import { TERRAIN, TERRAIN_EFFECT } from '../Terrain.js';
+import { findPath } from './Pathfinding.js';
+import { Bomb } from '../Bomb.js';
+import { NOISE } from '../Noise.js';
+
+// Default path costs for PathfindingChaseStrategy
+const HIDDEN_TILE_COST = 4;    // Step plus the turns spent breaking the tile open
+const WATER_COST = 2;          // Wading costs a turn
+const ENEMY_COST = 5;          // Other enemies usually move out of the way
+
+// Default SaboteurBehavior tuning
+const SABOTEUR_BOMBS = 1;        // Bombs carried at the start
+const SABOTEUR_MAX_BOMBS = 2;    // Most bombs carried at once
+const PLANT_CHANCE = 0.5;        // Chance to plant a carried bomb on a hidden tile it leaves
+
+// Blocked chasers break the hidden tile in their way after this many turns
+const BREAK_AFTER_BLOCKED_TURNS = 3;
+
+// What an enemy plans to do on its next turn if the player stays put (see getIntent)
+export const ENEMY_INTENT = {
+    MOVE: 'MOVE',      // Step towards x, y
+    ATTACK: 'ATTACK',  // Strike the player at x, y
+    BREAK: 'BREAK'     // Break the hidden tile at x, y in `turns` turns
+};
+
+// Behaviours are built from enemy kind data as new Behavior(params); every
+// constructor takes a single params object (unused by behaviours without settings).
+
 export class BaseChaseBehavior {
     constructor() {
         this.active = false;
@@ -14,11 +42,10 @@ export class BaseChaseBehavior {
      */
     takeTurn(enemy, player, room) {
         if (!this.active) {
-            // Check proximity to activate
-            if (this.shouldActivate(enemy, player)) {
+            // Check whether it notices the player
+            if (this.shouldActivate(enemy, player, room)) {
                 console.log('Enemy Activated!');
-                this.active = true;
-                room.revealCell(enemy.x, enemy.y);
+                this.wake(enemy, room);
                 return { moved: true }; // Consumes turn
             }
             return { moved: false };
@@ -32,12 +59,13 @@ export class BaseChaseBehavior {
             this.blockedTurns++;
             console.log(`Enemy blocked for ${this.blockedTurns} turns`);
 
-            // After 3 blocked turns, try to break a tile
-            if (this.blockedTurns >= 3 && this.lastDesiredMove) {
+            // After a few blocked turns, try to break a tile
+            if (this.blockedTurns >= BREAK_AFTER_BLOCKED_TURNS && this.lastDesiredMove) {
                 const { x, y } = this.lastDesiredMove;
-                if (room.isHidden(x, y) && room.isValidMove(x, y)) {
+                if (room.isHidden(x, y) && room.canEnemyEnter(x, y)) {
                     console.log('Enemy breaks tile!');
                     room.revealCell(x, y);
+                    room.makeNoise(x, y, NOISE.BREAK);
 
                     // Try to move there now (handles bomb interaction)
                     if (this.tryMoveForced(enemy, x, y, room, player)) {
@@ -56,22 +84,92 @@ export class BaseChaseBehavior {
         return result;
     }
 
-    shouldActivate(enemy, player) {
+    /**
+     * Notices the player within its detection radius, if walls and hidden tiles don't block the view
+     */
+    shouldActivate(enemy, player, room) {
         const dx = Math.abs(enemy.x - player.x);
         const dy = Math.abs(enemy.y - player.y);
-        return dx <= 1 && dy <= 1 && (dx !== 0 || dy !== 0);
+        if (Math.max(dx, dy) > enemy.activationRadius || (dx === 0 && dy === 0)) return false;
+
+        return room.hasLineOfSight(enemy.x, enemy.y, player.x, player.y);
+    }
+
+    /**
+     * Becomes active and shows itself (when noticing the player or woken by noise)
+     */
+    wake(enemy, room) {
+        this.active = true;
+        room.revealCell(enemy.x, enemy.y);
     }
 
+    /**
+     * Tries the strategy's preferred steps in order and takes the first one that works
+     */
     chase(enemy, player, room) {
-        // To be implemented by subclasses
+        for (const step of this.getSteps(enemy, player, room)) {
+            if (this.tryMove(enemy, step.x, step.y, room, player)) {
+                return { moved: true };
+            }
+        }
         return { moved: false };
     }
 
+    /**
+     * Cells the enemy would like to step onto, best first
+     * @returns {{x: number, y: number}[]}
+     */
+    getSteps(enemy, player, room) {
+        // To be implemented by subclasses
+        return [];
+    }
+
+    /**
+     * Works out what the enemy will do on its next turn if the player stays put,
+     * without changing anything
+     * @param {Enemy} enemy - The enemy instance
+     * @param {Object} player - The player object
+     * @param {Room} room - The current room
+     * @returns {{type: string, x: number, y: number, turns?: number}|null} ENEMY_INTENT and target, or null
+     */
+    getIntent(enemy, player, room) {
+        if (!this.active) return null;
+
+        const steps = this.getSteps(enemy, player, room);
+        const step = steps.find(cell => this.canStepTo(cell.x, cell.y, room, player));
+        if (step) {
+            const isPlayer = step.x === player.x && step.y === player.y;
+            return { type: isPlayer ? ENEMY_INTENT.ATTACK : ENEMY_INTENT.MOVE, x: step.x, y: step.y };
+        }
+
+        // Stuck behind a hidden tile: count down to breaking it
+        const target = this.blockedTurns > 0 ? this.lastDesiredMove : steps.find(cell => room.isHidden(cell.x, cell.y));
+        if (target && room.isHidden(target.x, target.y) && room.canEnemyEnter(target.x, target.y)) {
+            return { type: ENEMY_INTENT.BREAK, x: target.x, y: target.y, turns: BREAK_AFTER_BLOCKED_TURNS - this.blockedTurns };
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks whether tryMove would succeed, without moving
+     * @returns {boolean}
+     */
+    canStepTo(x, y, room, player) {
+        const isPlayer = x === player.x && y === player.y;
+        if (!room.canEnemyEnter(x, y) && !isPlayer) return false;
+        if (room.isHidden(x, y)) return false;
+
+        const otherEntity = room.getEntityAt(x, y);
+        return !otherEntity || otherEntity.type === 'coin';
+    }
+
     /**
      * Attempts to move the enemy to a position, respecting hidden tiles and other blockers
      */
     tryMove(enemy, x, y, room, player) {
-        if (room.isValidMove(x, y)) {
+        // Enemies stay off blocking terrain, but can still reach the player standing on it
+        if (room.canEnemyEnter(x, y) || (x === player.x && y === player.y)) {
             const otherEntity = room.getEntityAt(x, y);
 
             // Avoid other enemies
@@ -93,27 +191,54 @@ export class BaseChaseBehavior {
 
             // Attack Player
             if (x === player.x && y === player.y) {
-                console.log('Enemy attacks player!');
-                player.takeDamage(1);
-                room.removeEntity({ type: 'enemy', entity: enemy });
+                this.attack(enemy, player, room);
                 return true;
             }
 
             // Move to empty spot or coin
             if (!otherEntity || otherEntity.type === 'coin') {
-                enemy.x = x;
-                enemy.y = y;
+                this.moveTo(enemy, x, y, room);
                 return true;
             }
         }
         return false;
     }
 
+    /**
+     * Strikes the player; most enemies are spent by the attack
+     */
+    attack(enemy, player, room) {
+        console.log('Enemy attacks player!');
+        player.takeDamage(enemy.damage);
+        enemy.applyAttackEffect(player);
+        if (enemy.diesOnAttack) {
+            room.removeEntity({ type: 'enemy', entity: enemy });
+        }
+    }
+
+    /**
+     * Moves the enemy and applies the terrain it lands on
+     */
+    moveTo(enemy, x, y, room) {
+        const enemyObj = { type: 'enemy', entity: enemy };
+        room.moveEntity(enemyObj, x, y);
+
+        const effect = room.enterTerrain(enemyObj, x, y);
+        if (effect === TERRAIN_EFFECT.FALL) {
+            console.log('Enemy fell into a pit!');
+            room.removeEntity(enemyObj);
+        } else if (effect === TERRAIN_EFFECT.DAMAGE && enemy.takeDamage(1) <= 0) {
+            console.log('Enemy killed by terrain!');
+            room.removeEntity(enemyObj);
+        }
+    }
+
     /**
      * Forces a move after tile breaking - allows moving onto bombs (takes damage)
      */
     tryMoveForced(enemy, x, y, room, player) {
-        if (room.isValidMove(x, y)) {
+        // Enemies stay off blocking terrain, but can still reach the player standing on it
+        if (room.canEnemyEnter(x, y) || (x === player.x && y === player.y)) {
             const otherEntity = room.getEntityAt(x, y);
 
             // Avoid other enemies
@@ -123,9 +248,7 @@ export class BaseChaseBehavior {
 
             // Attack Player
             if (x === player.x && y === player.y) {
-                console.log('Enemy attacks player!');
-                player.takeDamage(1);
-                room.removeEntity({ type: 'enemy', entity: enemy });
+                this.attack(enemy, player, room);
                 return true;
             }
 
@@ -134,6 +257,7 @@ export class BaseChaseBehavior {
                 console.log('Enemy steps on bomb!');
                 // Remove the bomb first
                 room.removeEntity(otherEntity);
+                room.applyBlast(x, y);
                 // Enemy takes damage
                 const remainingHealth = enemy.takeDamage(1);
                 if (remainingHealth <= 0) {
@@ -142,15 +266,13 @@ export class BaseChaseBehavior {
                     return true; // Enemy died, but it did act
                 }
                 // Move to the bomb's position
-                enemy.x = x;
-                enemy.y = y;
+                this.moveTo(enemy, x, y, room);
                 return true;
             }
 
             // Move to empty spot or coin
             if (!otherEntity || otherEntity.type === 'coin') {
-                enemy.x = x;
-                enemy.y = y;
+                this.moveTo(enemy, x, y, room);
                 return true;
             }
         }
@@ -159,51 +281,419 @@ export class BaseChaseBehavior {
 }
 
 export class HorizontalChaseStrategy extends BaseChaseBehavior {
-    chase(enemy, player, room) {
+    getSteps(enemy, player, room) {
         const dx = player.x - enemy.x;
         const dy = player.y - enemy.y;
+        const steps = [];
 
         // Try horizontal first
-        if (dx !== 0) {
-            const nextX = enemy.x + Math.sign(dx);
-            if (this.tryMove(enemy, nextX, enemy.y, room, player)) {
-                return { moved: true };
-            }
-        }
+        if (dx !== 0) steps.push({ x: enemy.x + Math.sign(dx), y: enemy.y });
 
         // Then vertical
-        if (dy !== 0) {
-            const nextY = enemy.y + Math.sign(dy);
-            if (this.tryMove(enemy, enemy.x, nextY, room, player)) {
-                return { moved: true };
-            }
-        }
+        if (dy !== 0) steps.push({ x: enemy.x, y: enemy.y + Math.sign(dy) });
 
-        return { moved: false };
+        return steps;
     }
 }
 
 export class VerticalChaseStrategy extends BaseChaseBehavior {
-    chase(enemy, player, room) {
+    getSteps(enemy, player, room) {
         const dx = player.x - enemy.x;
         const dy = player.y - enemy.y;
+        const steps = [];
 
         // Try vertical first
-        if (dy !== 0) {
-            const nextY = enemy.y + Math.sign(dy);
-            if (this.tryMove(enemy, enemy.x, nextY, room, player)) {
-                return { moved: true };
+        if (dy !== 0) steps.push({ x: enemy.x, y: enemy.y + Math.sign(dy) });
+
+        // Then horizontal
+        if (dx !== 0) steps.push({ x: enemy.x + Math.sign(dx), y: enemy.y });
+
+        return steps;
+    }
+}
+
+export class PathfindingChaseStrategy extends BaseChaseBehavior {
+    /**
+     * Plans a path to the player with A* every turn and takes its first step.
+     * Walls and visible bombs block the path; hidden tiles are only expensive,
+     * so the enemy will break through them when going around is much longer.
+     * @param {Object} params
+     * @param {number} params.hiddenTileCost - Path cost of a hidden tile (default: 4)
+     * @param {number} params.waterCost - Path cost of a water tile (default: 2)
+     * @param {number} params.enemyCost - Path cost of a tile holding another enemy (default: 5)
+     */
+    constructor({ hiddenTileCost = HIDDEN_TILE_COST, waterCost = WATER_COST, enemyCost = ENEMY_COST } = {}) {
+        super();
+        this.hiddenTileCost = hiddenTileCost;
+        this.waterCost = waterCost;
+        this.enemyCost = enemyCost;
+    }
+
+    getSteps(enemy, player, room) {
+        const path = findPath(room.width, room.height, enemy, player, (x, y) => this.getStepCost(x, y, room, player));
+        return path && path.length > 0 ? [path[0]] : [];
+    }
+
+    /**
+     * Cost of stepping onto a cell, as far as the enemy can tell
+     * @returns {number} Cost (Infinity = blocked)
+     */
+    getStepCost(x, y, room, player) {
+        if (x === player.x && y === player.y) return 1;
+        if (!room.canEnemyEnter(x, y)) return Infinity;
+
+        // Hidden tiles could hold anything, including bombs
+        if (room.isHidden(x, y)) return this.hiddenTileCost;
+
+        const entityObj = room.getEntityAt(x, y);
+        if (entityObj && entityObj.type === 'bomb') return Infinity;
+        if (entityObj && entityObj.type === 'enemy') return this.enemyCost;
+
+        return room.getCellType(x, y) === TERRAIN.WATER ? this.waterCost : 1;
+    }
+}
+
+export class SaboteurBehavior extends BaseChaseBehavior {
+    /**
+     * Keeps its distance and sneaks over hidden tiles, planting the bombs it carries
+     * behind it and picking up hidden bombs next to it to move them elsewhere.
+     * Never attacks by itself.
+     * @param {Object} params
+     * @param {number} params.bombs - Bombs carried at the start (default: 1)
+     * @param {number} params.maxBombs - Most bombs carried at once (default: 2)
+     * @param {number} params.plantChance - Chance to plant a bomb on a hidden tile it leaves (default: 0.5)
+     */
+    constructor({ bombs = SABOTEUR_BOMBS, maxBombs = SABOTEUR_MAX_BOMBS, plantChance = PLANT_CHANCE } = {}) {
+        super();
+        this.carriedBombs = bombs;
+        this.maxBombs = maxBombs;
+        this.plantChance = plantChance;
+    }
+
+    chase(enemy, player, room) {
+        const distance = cell => Math.abs(cell.x - player.x) + Math.abs(cell.y - player.y);
+
+        const steps = [[0, 1], [0, -1], [1, 0], [-1, 0]]
+            .map(([dx, dy]) => ({ x: enemy.x + dx, y: enemy.y + dy }))
+            .filter(cell => room.canEnemyEnter(cell.x, cell.y) && !room.hasEntityAt(cell.x, cell.y) &&
+                !(cell.x === player.x && cell.y === player.y));
+        if (steps.length === 0) {
+            return { moved: false };
+        }
+
+        // Don't get closer to the player, and prefer sneaking over hidden tiles
+        let options = steps.filter(cell => distance(cell) >= distance(enemy));
+        if (options.length === 0) options = steps;
+        const hidden = options.filter(cell => room.isHidden(cell.x, cell.y));
+        if (hidden.length > 0) options = hidden;
+
+        const from = { x: enemy.x, y: enemy.y };
+        const next = room.playRng.pick(options);
+        this.moveTo(enemy, next.x, next.y, room);
+
+        this.sabotage(enemy, from, room);
+        return { moved: true };
+    }
+
+    /**
+     * Plants a carried bomb on the hidden tile just left, or picks up a hidden bomb nearby
+     * @param {Enemy} enemy
+     * @param {{x: number, y: number}} from - Tile the enemy just left
+     * @param {Room} room
+     */
+    sabotage(enemy, from, room) {
+        if (!room.enemies.includes(enemy)) return; // Died on the way
+
+        if (this.carriedBombs > 0 && room.isHidden(from.x, from.y) && !room.hasEntityAt(from.x, from.y) &&
+            room.playRng.chance(this.plantChance)) {
+            console.log('Saboteur planted a bomb!');
+            room.addEntity('bomb', new Bomb(from.x, from.y));
+            room.flashCell(from.x, from.y);
+            this.carriedBombs--;
+            return;
+        }
+
+        if (this.carriedBombs >= this.maxBombs) return;
+
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const x = enemy.x + dx;
+            const y = enemy.y + dy;
+            const entityObj = room.getEntityAt(x, y);
+
+            if (entityObj && entityObj.type === 'bomb' && room.isHidden(x, y)) {
+                console.log('Saboteur picked up a bomb!');
+                room.detachEntity(entityObj);
+                room.flashCell(x, y);
+                this.carriedBombs++;
+                return;
             }
         }
+    }
+}
 
-        // Then horizontal
-        if (dx !== 0) {
-            const nextX = enemy.x + Math.sign(dx);
-            if (this.tryMove(enemy, nextX, enemy.y, room, player)) {
-                return { moved: true };
+export class BossChaseBehavior {
+    /**
+     * Walks a multi-cell boss towards the player. Next to the player it winds up
+     * for a turn, then slams whoever is still adjacent.
+     * @param {Object} params
+     * @param {number} params.moveEvery - Moves on every n-th turn (default: 1)
+     * @param {number} params.steps - Cells moved per move (default: 1)
+     */
+    constructor({ moveEvery = 1, steps = 1 } = {}) {
+        this.active = true;
+        this.moveEvery = moveEvery;
+        this.steps = steps;
+        this.turns = 0;
+        this.windingUp = false;
+    }
+
+    takeTurn(boss, player, room) {
+        this.turns++;
+
+        if (this.windingUp) {
+            this.windingUp = false;
+            if (boss.distanceTo(player.x, player.y) === 1) {
+                console.log(`${boss.name} slams the player!`);
+                player.takeDamage(boss.damage);
+                boss.applyAttackEffect(player);
             }
+            return { moved: true };
         }
 
-        return { moved: false };
+        if (boss.distanceTo(player.x, player.y) === 1) {
+            console.log(`${boss.name} winds up...`);
+            this.windingUp = true;
+            return { moved: true };
+        }
+
+        if (this.turns % this.moveEvery !== 0) {
+            return { moved: false };
+        }
+
+        let moved = false;
+        for (let i = 0; i < this.steps && boss.distanceTo(player.x, player.y) > 1; i++) {
+            if (!this.step(boss, player, room)) break;
+            moved = true;
+        }
+        return { moved };
+    }
+
+    /**
+     * Works out what the boss will do on its next turn if the player stays put
+     * @returns {{type: string, x: number, y: number}|null} ENEMY_INTENT and target (top-left cell for moves), or null
+     */
+    getIntent(boss, player, room) {
+        if (!boss.active) return null;
+
+        if (boss.distanceTo(player.x, player.y) === 1) {
+            return { type: ENEMY_INTENT.ATTACK, x: player.x, y: player.y };
+        }
+        if (this.windingUp || (this.turns + 1) % this.moveEvery !== 0) return null;
+
+        const next = this.findStep(boss, player, room);
+        return next ? { type: ENEMY_INTENT.MOVE, x: next.x, y: next.y } : null;
+    }
+
+    /**
+     * Moves the boss one cell closer to the player, if its whole body fits there
+     * @returns {boolean} True if the boss moved
+     */
+    step(boss, player, room) {
+        const best = this.findStep(boss, player, room);
+        if (!best) return false;
+
+        room.moveEntity({ type: 'enemy', entity: boss }, best.x, best.y);
+        boss.getCells().forEach(cell => room.revealCell(cell.x, cell.y)); // Tramples hidden tiles open
+        return true;
+    }
+
+    /**
+     * Finds the top-left cell of the best position one step closer to the player
+     * @returns {{x: number, y: number}|null} null if no step gets closer
+     */
+    findStep(boss, player, room) {
+        // Cells between the body and the player, horizontally plus vertically
+        const gapAt = (x, y) =>
+            Math.max(x - player.x, 0, player.x - (x + boss.size - 1)) +
+            Math.max(y - player.y, 0, player.y - (y + boss.size - 1));
+
+        let best = null;
+        let bestDistance = gapAt(boss.x, boss.y);
+
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const x = boss.x + dx;
+            const y = boss.y + dy;
+
+            const fits = boss.getCells(x, y).every(cell => {
+                if (cell.x === player.x && cell.y === player.y) return false;
+                if (!room.canEnemyEnter(cell.x, cell.y)) return false;
+                const other = room.getEntityAt(cell.x, cell.y);
+                return !other || other.entity === boss;
+            });
+            if (!fits) continue;
+
+            const distance = gapAt(x, y);
+            if (distance < bestDistance) {
+                best = { x, y };
+                bestDistance = distance;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Cells about to be slammed (everything around the boss while it winds up)
+     * @returns {{x: number, y: number}[]}
+     */
+    getTelegraphCells(boss, room) {
+        if (!this.windingUp) return [];
+
+        const cells = [];
+        for (let y = boss.y - 1; y <= boss.y + boss.size; y++) {
+            for (let x = boss.x - 1; x <= boss.x + boss.size; x++) {
+                if (boss.distanceTo(x, y) === 1 && room.isValidMove(x, y)) cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
+}
+
+export class RangedBehavior {
+    /**
+     * Turret-like enemy: wakes up when it sees the player along a row or column,
+     * aims for one turn (the line of fire is telegraphed), then fires down that line.
+     * Walls and hidden tiles block its sight and its shots.
+     */
+    constructor() {
+        this.active = false;
+        this.aimDirection = null; // { dx, dy } of the telegraphed shot, null when not aiming
+    }
+
+    /**
+     * @param {Enemy} enemy - The enemy instance
+     * @param {Object} player - The player object
+     * @param {Room} room - The current room
+     * @returns {Object} Action object { moved: boolean }
+     */
+    takeTurn(enemy, player, room) {
+        // Fire the shot aimed last turn if the player is still in that line
+        if (this.aimDirection) {
+            const inLine = this.getLineOfFire(enemy, room, this.aimDirection)
+                .some(cell => cell.x === player.x && cell.y === player.y);
+            this.aimDirection = null;
+
+            if (inLine) {
+                console.log('Ranged enemy hits player!');
+                player.takeDamage(enemy.damage);
+                enemy.applyAttackEffect(player);
+            }
+            return { moved: true };
+        }
+
+        const direction = this.findPlayerDirection(enemy, player, room);
+        if (!direction) {
+            return { moved: false };
+        }
+
+        if (!this.active) {
+            console.log('Ranged enemy activated!');
+            this.wake(enemy, room);
+        }
+
+        // Telegraph the shot for one turn
+        this.aimDirection = direction;
+        return { moved: true };
+    }
+
+    /**
+     * Works out what the enemy will do on its next turn if the player stays put
+     * (aiming is already shown by the telegraphed line of fire)
+     * @returns {{type: string, x: number, y: number}|null} ENEMY_INTENT and target, or null
+     */
+    getIntent(enemy, player, room) {
+        if (!this.aimDirection) return null;
+
+        const inLine = this.getLineOfFire(enemy, room, this.aimDirection)
+            .some(cell => cell.x === player.x && cell.y === player.y);
+        return inLine ? { type: ENEMY_INTENT.ATTACK, x: player.x, y: player.y } : null;
+    }
+
+    /**
+     * Becomes active and shows itself (when seeing the player or woken by noise)
+     */
+    wake(enemy, room) {
+        this.active = true;
+        room.revealCell(enemy.x, enemy.y);
+    }
+
+    /**
+     * Finds the row/column direction in which the enemy can see the player
+     * @returns {{dx: number, dy: number}|null}
+     */
+    findPlayerDirection(enemy, player, room) {
+        if (enemy.x !== player.x && enemy.y !== player.y) return null;
+        if (Math.abs(player.x - enemy.x) + Math.abs(player.y - enemy.y) > enemy.activationRadius) return null;
+
+        const direction = { dx: Math.sign(player.x - enemy.x), dy: Math.sign(player.y - enemy.y) };
+        if (direction.dx === 0 && direction.dy === 0) return null;
+
+        const visible = this.getLineOfFire(enemy, room, direction)
+            .some(cell => cell.x === player.x && cell.y === player.y);
+        return visible ? direction : null;
+    }
+
+    /**
+     * Cells a shot travels through, up to the first wall or hidden tile
+     * @param {Enemy} enemy
+     * @param {Room} room
+     * @param {{dx: number, dy: number}} direction
+     * @returns {{x: number, y: number}[]}
+     */
+    getLineOfFire(enemy, room, direction) {
+        const cells = [];
+        let x = enemy.x + direction.dx;
+        let y = enemy.y + direction.dy;
+
+        while (room.getTerrain(x, y).walkable && !room.isHidden(x, y)) {
+            cells.push({ x, y });
+            x += direction.dx;
+            y += direction.dy;
+        }
+
+        return cells;
+    }
+
+    /**
+     * Cells to highlight as a warning (the aimed line of fire)
+     * @returns {{x: number, y: number}[]}
+     */
+    getTelegraphCells(enemy, room) {
+        return this.aimDirection ? this.getLineOfFire(enemy, room, this.aimDirection) : [];
+    }
+}
+
+// Behaviour classes by name, as referenced from enemy kind data
+export const BEHAVIORS = {
+    HorizontalChaseStrategy,
+    VerticalChaseStrategy,
+    PathfindingChaseStrategy,
+    SaboteurBehavior,
+    BossChaseBehavior,
+    RangedBehavior
+};
+
+/**
+ * Creates a behaviour from its class name and parameters
+ * @param {string} name - Key of BEHAVIORS
+ * @param {Object} params - Passed to the behaviour's constructor (default: none)
+ * @returns {Object} The behaviour (a horizontal chaser if the name is unknown)
+ */
+export function createBehavior(name, params = {}) {
+    const Behavior = BEHAVIORS[name];
+    if (!Behavior) {
+        console.warn(`Unknown enemy behaviour '${name}', using HorizontalChaseStrategy.`);
+        return new HorizontalChaseStrategy();
     }
+    return new Behavior(params);
 }
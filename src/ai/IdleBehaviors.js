@@ -0,0 +1,201 @@
+// Idle behaviours
+// What an enemy does while it has not noticed the player yet. Idle enemies only
+// step between tiles of the same kind (hidden stays hidden, revealed stays revealed),
+// so hidden ones shift the hint numbers around them without showing themselves.
+
+const CARDINAL_DIRS = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+
+export class IdleBehavior {
+    /**
+     * Takes an idle turn
+     * @param {Enemy} enemy - The enemy instance
+     * @param {Object} player - The player object
+     * @param {Room} room - The current room
+     * @returns {boolean} True if the enemy moved
+     */
+    takeTurn(enemy, player, room) {
+        // To be implemented by subclasses
+        return false;
+    }
+
+    /**
+     * Checks whether an idle enemy may step onto a cell
+     * @returns {boolean}
+     */
+    canIdleTo(enemy, x, y, player, room) {
+        if (x === player.x && y === player.y) return false;
+        if (!room.canEnemyEnter(x, y) || room.hasEntityAt(x, y)) return false;
+        return room.isHidden(x, y) === room.isHidden(enemy.x, enemy.y);
+    }
+
+    /**
+     * Cells next to the enemy it may step onto
+     * @returns {{x: number, y: number}[]}
+     */
+    getIdleSteps(enemy, player, room) {
+        return CARDINAL_DIRS
+            .map(([dx, dy]) => ({ x: enemy.x + dx, y: enemy.y + dy }))
+            .filter(cell => this.canIdleTo(enemy, cell.x, cell.y, player, room));
+    }
+
+    /**
+     * Moves the enemy and applies the terrain it lands on (e.g. water stuns it)
+     */
+    moveTo(enemy, x, y, room) {
+        const enemyObj = { type: 'enemy', entity: enemy };
+        room.moveEntity(enemyObj, x, y);
+        room.enterTerrain(enemyObj, x, y);
+    }
+}
+
+export class WanderIdle extends IdleBehavior {
+    /**
+     * Shuffles around at random
+     * @param {Object} params
+     * @param {number} params.moveChance - Chance to move on a turn (default: 0.5)
+     */
+    constructor({ moveChance = 0.5 } = {}) {
+        super();
+        this.moveChance = moveChance;
+    }
+
+    takeTurn(enemy, player, room) {
+        if (!room.playRng.chance(this.moveChance)) return false;
+
+        const steps = this.getIdleSteps(enemy, player, room);
+        if (steps.length === 0) return false;
+
+        const next = room.playRng.pick(steps);
+        this.moveTo(enemy, next.x, next.y, room);
+        return true;
+    }
+}
+
+export class PatrolIdle extends IdleBehavior {
+    /**
+     * Walks back and forth along a straight route picked on its first turn
+     * @param {Object} params
+     * @param {number} params.length - Most cells the route goes from the start (default: 3)
+     */
+    constructor({ length = 3 } = {}) {
+        super();
+        this.length = length;
+        this.route = null;   // Cells from one end of the route to the other
+        this.index = 0;      // Position on the route
+        this.direction = 1;  // Walking towards the end (1) or the start (-1)
+    }
+
+    takeTurn(enemy, player, room) {
+        if (!this.route) {
+            this.route = this.planRoute(enemy, player, room);
+        }
+        if (this.route.length < 2) return false;
+
+        // Turn around at either end
+        if (this.index + this.direction < 0 || this.index + this.direction >= this.route.length) {
+            this.direction = -this.direction;
+        }
+
+        // Wait for whatever is standing in the way to move
+        const next = this.route[this.index + this.direction];
+        if (!this.canIdleTo(enemy, next.x, next.y, player, room)) return false;
+
+        this.index += this.direction;
+        this.moveTo(enemy, next.x, next.y, room);
+        return true;
+    }
+
+    /**
+     * Picks the longest straight route (up to the patrol length) from the enemy's cell
+     * @returns {{x: number, y: number}[]}
+     */
+    planRoute(enemy, player, room) {
+        let best = [{ x: enemy.x, y: enemy.y }];
+
+        for (const [dx, dy] of CARDINAL_DIRS) {
+            const route = [{ x: enemy.x, y: enemy.y }];
+            for (let i = 1; i <= this.length; i++) {
+                const x = enemy.x + dx * i;
+                const y = enemy.y + dy * i;
+                if (!this.canIdleTo(enemy, x, y, player, room)) break;
+                route.push({ x, y });
+            }
+            if (route.length > best.length) best = route;
+        }
+
+        return best;
+    }
+}
+
+export class GuardIdle extends IdleBehavior {
+    /**
+     * Paces around the nearest coin (or its starting cell if there is none nearby)
+     * @param {Object} params
+     * @param {number} params.radius - Most cells it strays from what it guards (default: 2)
+     * @param {number} params.moveChance - Chance to move on a turn (default: 0.5)
+     */
+    constructor({ radius = 2, moveChance = 0.5 } = {}) {
+        super();
+        this.radius = radius;
+        this.moveChance = moveChance;
+        this.post = null; // Cell being guarded
+    }
+
+    takeTurn(enemy, player, room) {
+        if (!this.post) {
+            this.post = this.findPost(enemy, room);
+        }
+        if (!room.playRng.chance(this.moveChance)) return false;
+
+        const steps = this.getIdleSteps(enemy, player, room).filter(cell =>
+            Math.max(Math.abs(cell.x - this.post.x), Math.abs(cell.y - this.post.y)) <= this.radius);
+        if (steps.length === 0) return false;
+
+        const next = room.playRng.pick(steps);
+        this.moveTo(enemy, next.x, next.y, room);
+        return true;
+    }
+
+    /**
+     * Finds the closest coin within twice the guard radius
+     * @returns {{x: number, y: number}}
+     */
+    findPost(enemy, room) {
+        let post = { x: enemy.x, y: enemy.y };
+        let bestDistance = this.radius * 2;
+
+        room.coins.forEach(coin => {
+            const distance = Math.max(Math.abs(coin.x - enemy.x), Math.abs(coin.y - enemy.y));
+            if (distance <= bestDistance) {
+                post = { x: coin.x, y: coin.y };
+                bestDistance = distance;
+            }
+        });
+
+        return post;
+    }
+}
+
+// Idle behaviour classes by name, as referenced from enemy kind data
+export const IDLE_BEHAVIORS = {
+    WanderIdle,
+    PatrolIdle,
+    GuardIdle
+};
+
+/**
+ * Creates an idle behaviour from its class name and parameters
+ * @param {string|null} name - Key of IDLE_BEHAVIORS (null = stays put)
+ * @param {Object} params - Passed to the behaviour's constructor (default: none)
+ * @returns {Object|null} The idle behaviour, or null if the enemy stays put
+ */
+export function createIdleBehavior(name, params = {}) {
+    if (!name) return null;
+
+    const Behavior = IDLE_BEHAVIORS[name];
+    if (!Behavior) {
+        console.warn(`Unknown idle behaviour '${name}', the enemy will stay put.`);
+        return null;
+    }
+    return new Behavior(params);
+}
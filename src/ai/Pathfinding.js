@@ -0,0 +1,121 @@
+// Grid pathfinding for enemy AI
+// A* over cardinal moves with per-cell costs, so behaviours can decide what is
+// blocked (Infinity) and what is merely expensive.
+
+/**
+ * Finds the cheapest cardinal path between two cells
+ * @param {number} width - Grid width in cells
+ * @param {number} height - Grid height in cells
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} goal
+ * @param {Function} costAt - (x, y) => cost of stepping onto the cell (>= 1, Infinity = blocked)
+ * @returns {{x: number, y: number}[]|null} Cells from the first step to the goal, or null if unreachable
+ */
+export function findPath(width, height, start, goal, costAt) {
+    const size = width * height;
+    const startIndex = start.y * width + start.x;
+    const goalIndex = goal.y * width + goal.x;
+
+    const gScore = new Float64Array(size).fill(Infinity);
+    const parents = new Int32Array(size).fill(-1);
+    const closed = new Uint8Array(size);
+
+    // Manhattan distance never overestimates with a minimum step cost of 1
+    const heuristic = index => {
+        const x = index % width;
+        const y = (index - x) / width;
+        return Math.abs(x - goal.x) + Math.abs(y - goal.y);
+    };
+
+    const open = new MinHeap();
+    gScore[startIndex] = 0;
+    open.push(startIndex, heuristic(startIndex));
+
+    while (open.size() > 0) {
+        const index = open.pop();
+        if (closed[index]) continue;
+        closed[index] = 1;
+
+        if (index === goalIndex) {
+            // Walk back from the goal, leaving out the start cell
+            const path = [];
+            for (let i = goalIndex; i !== startIndex; i = parents[i]) {
+                path.push({ x: i % width, y: Math.floor(i / width) });
+            }
+            return path.reverse();
+        }
+
+        const x = index % width;
+        const y = (index - x) / width;
+
+        for (const [dx, dy] of [[0, 1], [0, -1], [1, 0], [-1, 0]]) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+
+            const nIndex = ny * width + nx;
+            if (closed[nIndex]) continue;
+
+            const cost = costAt(nx, ny);
+            if (cost === Infinity) continue;
+
+            const tentative = gScore[index] + cost;
+            if (tentative < gScore[nIndex]) {
+                gScore[nIndex] = tentative;
+                parents[nIndex] = index;
+                open.push(nIndex, tentative + heuristic(nIndex));
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Binary min-heap of cell indices keyed by priority (stale entries are skipped by the caller)
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        const items = this.items;
+        items.push({ value, priority });
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+
+        return top.value;
+    }
+}
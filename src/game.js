@@ -1,21 +1,40 @@
-// Game logic and mechanics
+// Game presentation: input, rendering and audio
+// The simulation itself lives in GameSession.js
 
 import { SpriteSheet } from './rendering/SpriteSheet.js';
 import { SpriteRenderer } from './rendering/SpriteRenderer.js';
-import { PLAYER_MOVE_RESULT, Room, SIDE } from './Room.js';
 import { Input } from './Input.js';
-import { Player } from './Player.js';
 import { getSoundManager } from './Sound.js';
+import { getDifficulty } from './Difficulty.js';
+import { getHintMode } from './HintMode.js';
+import { loadRoomTemplates } from './RoomTemplates.js';
+import { GameSession, GAME_EVENT, SHOP_ITEMS } from './GameSession.js';
+
+// How long the flash of an explosion lasts (ms)
+const EXPLOSION_MS = 500;
+
+// Keys that buy each shop item
+const SHOP_KEYS = {
+    KeyB: SHOP_ITEMS.FLAG,
+    KeyV: SHOP_ITEMS.ORACLE_FLAG,
+    KeyP: SHOP_ITEMS.PROBE,
+    KeyT: SHOP_ITEMS.DETECTOR,
+    KeyO: SHOP_ITEMS.SONAR,
+    KeyG: SHOP_ITEMS.SHIELD,
+    KeyH: SHOP_ITEMS.HASTE,
+    KeyX: SHOP_ITEMS.EXPLOSIVE
+};
 
 let gameState = {
     running: false,
     spriteSheets: {},  // Store multiple sprite sheets by name
+    roomTemplates: null,  // Handcrafted room templates by name (null until loaded)
     spriteRenderer: null,
-    currentRoom: null,  // Current room being displayed
     input: null,
-    player: null,
-    gameOver: false,
-    coins: 0
+    session: null,     // Simulation of the current run
+    flashedCells: [],  // Room cells briefly highlighted after enemies changed them
+    explosion: null,   // Cells of the latest explosion and when it started (faded out over EXPLOSION_MS)
+    showIntents: true  // Draw what enemies plan to do next (set from the difficulty or ?intents=on|off)
 };
 
 export function initGame(canvas, ctx) {
@@ -30,49 +49,82 @@ export function initGame(canvas, ctx) {
     // Load sprite sheet(s) - you can add more sheets here in the future
     gameState.spriteSheets.sheet_1 = new SpriteSheet('./assets/images/sheet_1.png', 10, 10, () => {
         console.log('sheet_1 loaded');
-        checkAllSheetsLoaded(canvas, ctx);
+        checkAllAssetsLoaded(canvas, ctx);
     });
 
     // Register the sprite sheet with the renderer
     gameState.spriteRenderer.registerSpriteSheet('sheet_1', gameState.spriteSheets.sheet_1);
+
+    // Load handcrafted room templates
+    loadRoomTemplates().then(templates => {
+        gameState.roomTemplates = templates;
+        checkAllAssetsLoaded(canvas, ctx);
+    });
 }
 
-function checkAllSheetsLoaded(canvas, ctx) {
-    // Check if all sprite sheets are loaded
-    const allLoaded = Object.values(gameState.spriteSheets).every(sheet => sheet.isReady());
+function checkAllAssetsLoaded(canvas, ctx) {
+    // Check if all sprite sheets and room templates are loaded
+    const allLoaded = Object.values(gameState.spriteSheets).every(sheet => sheet.isReady()) &&
+        gameState.roomTemplates !== null;
 
     if (allLoaded && !gameState.running) {
-        console.log('All sprite sheets ready, starting game loop');
+        console.log('All assets ready, starting game loop');
 
-        startNewGame();
+        // Allow starting from a shared seed / difficulty / hint mode via ?seed=...&difficulty=...&hints=... in the URL
+        const params = new URLSearchParams(window.location.search);
+        const difficulty = getDifficulty(params.get('difficulty'));
+        gameState.showIntents = params.has('intents') ? params.get('intents') !== 'off' : difficulty.showIntents;
+        gameState.session = createSession(difficulty, getHintMode(params.get('hints')));
+        gameState.session.startNewGame(params.get('seed'));
 
         gameState.running = true;
         gameLoop(canvas, ctx);
     }
 }
 
-function startNewGame() {
-    console.log('Starting new game...');
-
-    // Reset Game State
-    gameState.gameOver = false;
-    gameState.coins = 0;
-
-    // Random entrance side
-    const sides = [SIDE.TOP, SIDE.RIGHT, SIDE.BOTTOM, SIDE.LEFT];
-    const randomEntranceSide = sides[Math.floor(Math.random() * sides.length)];
-
-    // Create a test room (20x20 cells, 30px per cell, random entrance, 25 bombs, 10 enemies, 5 coins)
-    gameState.currentRoom = new Room(20, 20, 30, randomEntranceSide, 25, 10, 5);
-
-    // Create player at entrance
-    const entrance = gameState.currentRoom.entrancePos;
-    gameState.player = new Player(entrance.x, entrance.y);
-
-    // Trigger initial room logic for player start position
-    gameState.currentRoom.onPlayerEnter(gameState.player.x, gameState.player.y);
+/**
+ * Creates the simulation and hooks its events up to sounds and effects
+ * @param {Object} difficulty - Difficulty preset
+ * @param {Object} hintMode - Hint mode
+ * @returns {GameSession}
+ */
+function createSession(difficulty, hintMode) {
+    const session = new GameSession({ difficulty, hintMode, roomTemplates: gameState.roomTemplates });
+
+    session.on(GAME_EVENT.PLAYER_MOVED, () => getSoundManager().playMove());
+    session.on(GAME_EVENT.COIN_COLLECTED, () => getSoundManager().playCoin());
+    session.on(GAME_EVENT.ITEM_FOUND, () => getSoundManager().playCoin());
+    session.on(GAME_EVENT.ITEM_USED, ({ item }) => {
+        if (item.useSound) getSoundManager()[item.useSound]();
+    });
+    session.on(GAME_EVENT.TILES_REVEALED, () => getSoundManager().playMove());
+    session.on(GAME_EVENT.FLAGS_RESOLVED, ({ correct }) => {
+        if (correct > 0) getSoundManager().playCoin();
+    });
+    session.on(GAME_EVENT.TILES_FLASHED, ({ cells }) => {
+        // Highlight tiles whose contents changed, so hints are re-read
+        gameState.flashedCells = cells;
+        setTimeout(() => {
+            if (gameState.flashedCells === cells) gameState.flashedCells = [];
+        }, 400);
+    });
+    session.on(GAME_EVENT.EXPLOSION, ({ cells }) => {
+        getSoundManager().playExplosion();
+        gameState.explosion = { cells, start: performance.now() };
+    });
+    session.on(GAME_EVENT.GAME_OVER, () => getSoundManager().playLose());
+    session.on(GAME_EVENT.PLAYER_DAMAGED, () => {
+        getSoundManager().playDamage();
+
+        // Trigger red flash effect
+        const player = session.player;
+        player.isDamageFlashing = true;
+        setTimeout(() => {
+            player.isDamageFlashing = false;
+        }, 250);
+    });
 
-    console.log('Room created:', gameState.currentRoom);
+    return session;
 }
 
 function gameLoop(canvas, ctx) {
@@ -91,21 +143,33 @@ function gameLoop(canvas, ctx) {
     requestAnimationFrame(() => gameLoop(canvas, ctx));
 }
 
-function startNextLevel() {
-    gameState.currentRoom.cleanUp();
-    gameState.currentRoom.generate();
-    const entrance = gameState.currentRoom.entrancePos;
-    gameState.player.setPlayerPosition(entrance.x, entrance.y, gameState.currentRoom);
-    gameState.currentRoom.onPlayerEnter(gameState.player.x, gameState.player.y);
+/**
+ * Prompts for a seed and restarts the run with it
+ */
+function promptForSeed() {
+    const seed = window.prompt('Enter a seed:', gameState.session.seed || '');
+    if (seed && seed.trim()) {
+        gameState.session.startNewGame(seed.trim());
+    }
+    // The prompt swallows the keyup event, so clear held keys
+    gameState.input.keys = {};
 }
 
 function update() {
-    if (!gameState.player || !gameState.input) return;
+    const session = gameState.session;
+    if (!session || !session.player || !gameState.input) return;
+
+    // --- Start From Seed (N key) ---
+    if (gameState.input.isJustPressed('KeyN')) {
+        promptForSeed();
+        gameState.input.update();
+        return;
+    }
 
     // Handle Game Over Input
-    if (gameState.gameOver) {
+    if (session.gameOver) {
         if (gameState.input.isJustPressed('KeyR')) {
-            startNewGame();
+            session.startNewGame();
         }
         gameState.input.update(); // Make sure to consume inputs
         return;
@@ -113,19 +177,20 @@ function update() {
 
     let actionTaken = false;
 
-    // --- Equipment Toggle (Space) ---
+    // --- Hotbar: next item (Space) or slot by number (1-9) ---
     if (gameState.input.isJustPressed('Space')) {
-        gameState.player.toggleEquip();
+        session.cycleItem();
+    }
+    for (let slot = 1; slot <= 9; slot++) {
+        if (gameState.input.isJustPressed(`Digit${slot}`)) {
+            session.selectItem(slot - 1);
+        }
     }
 
-    // --- Buy Flag (B key) ---
-    if (gameState.input.isJustPressed('KeyB')) {
-        if (gameState.coins >= 50) {
-            gameState.coins -= 50;
-            gameState.player.addFlag();
-            console.log('Bought a flag! Flags: ' + gameState.player.flagCount);
-        } else {
-            console.log('Not enough coins to buy a flag (need 50)');
+    // --- Shop: Flag (B), Oracle Flag (V), Probe (P), Detector (T), Sonar (O), Shield (G), Haste (H), Explosive (X) ---
+    for (const [key, shopItem] of Object.entries(SHOP_KEYS)) {
+        if (gameState.input.isJustPressed(key)) {
+            session.buyItem(shopItem);
         }
     }
 
@@ -140,37 +205,15 @@ function update() {
     else if (gameState.input.isJustPressed('KeyD')) dx = 1;
 
     if (dx !== 0 || dy !== 0) {
-        if (gameState.player.move(dx, dy, gameState.currentRoom)) {
-
-            const playerEnterResultState = gameState.currentRoom.onPlayerEnter(gameState.player.x, gameState.player.y);
-            if (playerEnterResultState != PLAYER_MOVE_RESULT.INVALID) {
-                actionTaken = true;
-            }
-
-            switch (playerEnterResultState) {
-                case PLAYER_MOVE_RESULT.REACHED_EXIT:
-                    console.log("We have reached exit");
-                    startNextLevel();
-                    break;
-                case PLAYER_MOVE_RESULT.NORMAL:
-                    getSoundManager().playMove();
-                    break;
-                case PLAYER_MOVE_RESULT.COIN:
-                    getSoundManager().playCoin();
-                    gameState.coins += 10;
-                    break;
-                case PLAYER_MOVE_RESULT.ENEMY:
-                case PLAYER_MOVE_RESULT.BOMB:
-                    const remainingHealth = gameState.player.takeDamage(1);
-                    console.log(`Hit! Health: ${remainingHealth}`);
-                    break;
-
-            }
+        actionTaken = session.movePlayer(dx, dy);
+    }
 
-        }
+    // --- Chord the hint tile underfoot (E key) ---
+    if (!actionTaken && gameState.input.isJustPressed('KeyE')) {
+        actionTaken = session.chord(0, 0);
     }
 
-    // --- Arrow Key Controls (Attack or Place Flag based on equipped item) ---
+    // --- Arrow Key Controls (use the selected item, Shift chords) ---
     if (!actionTaken) {
         let arrowDx = 0;
         let arrowDy = 0;
@@ -180,79 +223,76 @@ function update() {
         else if (gameState.input.isJustPressed('ArrowLeft')) arrowDx = -1;
         else if (gameState.input.isJustPressed('ArrowRight')) arrowDx = 1;
 
+        const chording = gameState.input.isDown('ShiftLeft') || gameState.input.isDown('ShiftRight');
+
         if (arrowDx !== 0 || arrowDy !== 0) {
-            const targetX = gameState.player.x + arrowDx;
-            const targetY = gameState.player.y + arrowDy;
-
-            if (gameState.player.equippedItem === 'flag') {
-                // --- Flag Placement ---
-                // Check if target tile is hidden
-                if (gameState.currentRoom.isHidden(targetX, targetY)) {
-                    // Try to use a flag
-                    if (gameState.player.useFlag()) {
-                        // Place the flag
-                        if (gameState.currentRoom.placeFlag(targetX, targetY)) {
-                            actionTaken = true;
-                        } else {
-                            // Failed to place, refund the flag
-                            gameState.player.addFlag();
-                        }
-                    } else {
-                        console.log('No flags available!');
-                    }
-                } else {
-                    console.log('Can only place flags on hidden tiles');
-                }
+            if (chording) {
+                session.chord(arrowDx, arrowDy);
             } else {
-                // --- Attack (sword equipped) ---
-                if (gameState.player.attack(arrowDx, arrowDy, gameState.currentRoom)) {
-                    actionTaken = true;
-                }
+                session.useSelectedItem(arrowDx, arrowDy);
             }
         }
     }
 
-    // --- Enemy Turn ---
-    // Trigger only if player performed an action (Move or Attack)
-    if (actionTaken) {
-        if (gameState.player.health > 0) {
-            gameState.currentRoom.updateEnemies(gameState.player);
-        }
-
-        // --- Game State Check ---
-        if (gameState.player.health <= 0) {
-            gameState.gameOver = true;
-            getSoundManager().playLose();
-            console.log("Game Over!");
-        }
-    }
-
     // Update input state at the end of the frame
     gameState.input.update();
 }
 
 function render(ctx) {
     const renderer = gameState.spriteRenderer;
+    const session = gameState.session;
 
-    if (!renderer) return;
+    if (!renderer || !session) return;
 
     // Draw background
     ctx.fillStyle = '#1a1a1a';
     ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
 
     // Draw current room if it exists
-    if (gameState.currentRoom) {
+    if (session.currentRoom) {
         // Center the room on the canvas
-        const roomPixelWidth = gameState.currentRoom.width * gameState.currentRoom.cellSize;
-        const roomPixelHeight = gameState.currentRoom.height * gameState.currentRoom.cellSize;
+        const roomPixelWidth = session.currentRoom.width * session.currentRoom.cellSize;
+        const roomPixelHeight = session.currentRoom.height * session.currentRoom.cellSize;
         const offsetX = (ctx.canvas.width - roomPixelWidth) / 2;
         const offsetY = (ctx.canvas.height - roomPixelHeight) / 2;
 
-        gameState.currentRoom.render(ctx, renderer, offsetX, offsetY);
+        session.currentRoom.render(ctx, renderer, offsetX, offsetY);
+
+        // Enemy intents (planned next tile, strike target or tile-breaking countdown)
+        if (gameState.showIntents && session.player) {
+            const room = session.currentRoom;
+            session.intents.forEach((intent, enemy) => {
+                if (room.isHidden(enemy.x, enemy.y) && !enemy.statusEffects.isSeenThroughTiles()) return;
+                enemy.renderIntent(ctx, intent, room, offsetX, offsetY);
+            });
+        }
+
+        // Flash tiles changed by enemies
+        if (gameState.flashedCells.length > 0) {
+            const cellSize = session.currentRoom.cellSize;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+            for (const cell of gameState.flashedCells) {
+                ctx.fillRect(offsetX + cell.x * cellSize, offsetY + cell.y * cellSize, cellSize, cellSize);
+            }
+        }
+
+        // Fading flash over the cells hit by the latest explosion
+        if (gameState.explosion) {
+            const elapsed = performance.now() - gameState.explosion.start;
+            if (elapsed >= EXPLOSION_MS) {
+                gameState.explosion = null;
+            } else {
+                const cellSize = session.currentRoom.cellSize;
+                ctx.fillStyle = `rgba(255, 140, 0, ${0.7 * (1 - elapsed / EXPLOSION_MS)})`;
+                for (const cell of gameState.explosion.cells) {
+                    ctx.fillRect(offsetX + cell.x * cellSize, offsetY + cell.y * cellSize, cellSize, cellSize);
+                }
+            }
+        }
 
         // Render player
-        if (gameState.player) {
-            gameState.player.render(ctx, renderer, gameState.currentRoom.cellSize, offsetX, offsetY);
+        if (session.player) {
+            session.player.render(ctx, renderer, session.currentRoom.cellSize, offsetX, offsetY);
         }
 
         // --- GUI ---
@@ -263,29 +303,83 @@ function render(ctx) {
         ctx.textBaseline = 'top';
 
         // Draw Health
-        ctx.fillText(`Health: ${gameState.player.health}`, 20, 20);
+        ctx.fillText(`Health: ${session.player.health}`, 20, 20);
+
+        // Draw Depth
+        ctx.fillText(`Depth: ${session.depth}`, 20, 50);
+
+        // Draw Status Effects (below depth, in their badge colours)
+        ctx.font = '12px "Press Start 2P", monospace';
+        session.player.statusEffects.active.forEach((entry, index) => {
+            ctx.fillStyle = entry.effect.color;
+            ctx.fillText(`${entry.effect.name} (${entry.turns})`, 20, 80 + index * 18);
+        });
+        ctx.font = '20px "Press Start 2P", monospace';
+        ctx.fillStyle = 'white';
 
         // Draw Coins
         ctx.textAlign = 'right';
-        ctx.fillText(`Coins: ${gameState.coins}`, ctx.canvas.width - 20, 20);
+        ctx.fillText(`Coins: ${session.coins}`, ctx.canvas.width - 20, 20);
+
+        // Draw Floor Minimap (top center)
+        if (session.floor) {
+            session.floor.renderMinimap(ctx, ctx.canvas.width / 2, 10, 8);
+        }
+
+        // Draw Boss Health Bar (bottom center) once the boss is awake
+        const boss = session.currentRoom.boss;
+        if (boss && boss.active && session.currentRoom.isBossAlive()) {
+            const barWidth = 300;
+            const barX = (ctx.canvas.width - barWidth) / 2;
+            const barY = ctx.canvas.height - 30;
+
+            ctx.fillStyle = '#333333';
+            ctx.fillRect(barX, barY, barWidth, 14);
+            ctx.fillStyle = '#cc2222';
+            ctx.fillRect(barX, barY, barWidth * Math.max(0, boss.health) / boss.maxHealth, 14);
+            ctx.strokeStyle = 'white';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(barX, barY, barWidth, 14);
+
+            ctx.font = '12px "Press Start 2P", monospace';
+            ctx.fillStyle = 'white';
+            ctx.textAlign = 'center';
+            ctx.fillText(`${boss.name} - ${boss.phases[boss.phaseIndex].name}`, ctx.canvas.width / 2, barY - 20);
+        }
 
-        // Draw Equipped Item and Flag Count (bottom left)
+        // Draw Hotbar (bottom left): slot number, badge, name and charges, selected item highlighted
         ctx.textAlign = 'left';
         ctx.font = '14px "Press Start 2P", monospace';
 
-        const swordIndicator = gameState.player.equippedItem === 'sword' ? '> ' : '  ';
-        const flagIndicator = gameState.player.equippedItem === 'flag' ? '> ' : '  ';
+        const inventory = session.player.inventory;
+        inventory.items.forEach((item, index) => {
+            const rowY = ctx.canvas.height - 35 - (inventory.items.length - 1 - index) * 25;
+            const selected = index === inventory.selectedIndex;
 
-        ctx.fillStyle = gameState.player.equippedItem === 'sword' ? '#ffcc00' : '#888888';
-        ctx.fillText(`${swordIndicator}Sword`, 20, ctx.canvas.height - 60);
+            ctx.fillStyle = selected ? '#ffcc00' : '#888888';
+            ctx.fillText(`${selected ? '>' : ' '}${index + 1}`, 20, rowY);
 
-        ctx.fillStyle = gameState.player.equippedItem === 'flag' ? '#ffcc00' : '#888888';
-        ctx.fillText(`${flagIndicator}Flag x${gameState.player.flagCount}`, 20, ctx.canvas.height - 35);
+            ctx.fillStyle = item.color;
+            ctx.fillRect(70, rowY - 1, 16, 16);
+            ctx.fillStyle = 'black';
+            ctx.textAlign = 'center';
+            ctx.fillText(item.icon, 78, rowY + 1);
+            ctx.textAlign = 'left';
+
+            ctx.fillStyle = selected ? '#ffcc00' : '#888888';
+            ctx.fillText(item.charges === null ? item.name : `${item.name} x${item.charges}`, 94, rowY);
+        });
+
+        // Draw Seed (bottom right)
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#888888';
+        ctx.fillText(`Seed: ${session.seed}`, ctx.canvas.width - 20, ctx.canvas.height - 35);
+        ctx.fillText(`${session.difficulty.name} / ${session.hintMode.name} hints`, ctx.canvas.width - 20, ctx.canvas.height - 60);
 
         ctx.fillStyle = 'white';
 
         // Draw Game Over Overlay
-        if (gameState.gameOver) {
+        if (session.gameOver) {
             ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
             ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
 
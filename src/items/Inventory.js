@@ -0,0 +1,88 @@
+// Player inventory
+// The items on the player's hotbar and which one is selected.
+
+export class Inventory {
+    /**
+     * Creates an inventory
+     * @param {Item[]} items - Starting items, in hotbar order
+     */
+    constructor(items = []) {
+        this.items = items;
+        this.selectedIndex = 0;
+    }
+
+    /**
+     * @returns {Item|null} The selected item
+     */
+    getSelected() {
+        return this.items[this.selectedIndex] || null;
+    }
+
+    /**
+     * Selects the item in a hotbar slot
+     * @param {number} index - Slot (0-based)
+     * @returns {boolean} True if the slot holds an item
+     */
+    select(index) {
+        if (index < 0 || index >= this.items.length) return false;
+
+        this.selectedIndex = index;
+        console.log(`Equipped: ${this.items[index].name}`);
+        return true;
+    }
+
+    /**
+     * Selects the next item on the hotbar (wraps around)
+     */
+    cycle() {
+        if (this.items.length === 0) return;
+        this.select((this.selectedIndex + 1) % this.items.length);
+    }
+
+    /**
+     * Finds an item by id
+     * @param {string} id
+     * @returns {Item|null}
+     */
+    find(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Adds an item; if one with the same id is carried, its charges are added to it instead
+     * @param {Item} item
+     */
+    add(item) {
+        const existing = this.find(item.id);
+        if (existing && existing.charges !== null) {
+            existing.charges += item.charges;
+        } else if (!existing) {
+            this.items.push(item);
+        }
+    }
+
+    /**
+     * Adds charges to a carried item
+     * @param {string} id - Item id
+     * @param {number} amount - Charges to add (default: 1)
+     * @returns {boolean} True if the item was found
+     */
+    addCharges(id, amount = 1) {
+        const item = this.find(id);
+        if (!item || item.charges === null) return false;
+
+        item.charges += amount;
+        return true;
+    }
+
+    /**
+     * Drops used-up items (those not kept at 0 charges), keeping the selection on the same item
+     */
+    removeEmpty() {
+        const selected = this.getSelected();
+        this.items = this.items.filter(item => item.hasCharges() || item.keepWhenEmpty);
+
+        const index = this.items.indexOf(selected);
+        this.selectedIndex = index > -1 ? index : Math.min(this.selectedIndex, Math.max(0, this.items.length - 1));
+    }
+}
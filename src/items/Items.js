@@ -0,0 +1,261 @@
+// Items
+// Everything the player can select on the hotbar and use towards a direction.
+// Items share one interface, so new ones only need a class here (and a way to
+// get them, e.g. the shop) without touching the game loop.
+
+import { STATUS_EFFECT } from '../StatusEffects.js';
+
+// Turns a shield blocks every hit for, and a haste potion doubles the player's speed for
+const SHIELD_TURNS = 3;
+const HASTE_TURNS = 3;
+
+// Scouting item ranges (in cells)
+const PROBE_RANGE = 3;     // Furthest tile a probe reaches
+const DETECTOR_RADIUS = 1; // Detector checks the 3x3 area around the player
+const SONAR_RADIUS = 2;    // Sonar counts the 5x5 area around the player
+const SONAR_REVEAL_TURNS = 5; // Enemies in the sonar's area stay visible under hidden tiles this long
+
+// Explosives: turns until they go off and blast radius (5x5 area)
+const EXPLOSIVE_FUSE = 3;
+const EXPLOSIVE_RADIUS = 2;
+
+export class Item {
+    /**
+     * Creates an item
+     * @param {Object} options
+     * @param {string} options.id - Stable identifier (matching items stack their charges)
+     * @param {string} options.name - Shown on the hotbar
+     * @param {string} options.icon - Letter drawn on the item's hotbar badge
+     * @param {string} options.color - Colour of the badge
+     * @param {number|null} options.charges - Uses left (null = unlimited)
+     * @param {boolean} options.keepWhenEmpty - Stays on the hotbar at 0 charges (default: false)
+     * @param {string|null} options.useSound - SoundManager method played when used (default: none)
+     */
+    constructor({ id, name, icon, color, charges = null, keepWhenEmpty = false, useSound = null }) {
+        this.id = id;
+        this.name = name;
+        this.icon = icon;
+        this.color = color;
+        this.charges = charges;
+        this.keepWhenEmpty = keepWhenEmpty;
+        this.useSound = useSound;
+    }
+
+    /**
+     * @returns {boolean} True if the item can still be used
+     */
+    hasCharges() {
+        return this.charges === null || this.charges > 0;
+    }
+
+    /**
+     * Spends one charge (unlimited items are unaffected)
+     */
+    spendCharge() {
+        if (this.charges !== null) this.charges--;
+    }
+
+    /**
+     * Uses the item towards a direction
+     * @param {{dx: number, dy: number}} direction - Offset of the target cell from the player
+     * @param {Room} room - The current room
+     * @param {Player} player - The player using it
+     * @returns {boolean} True if a turn was used
+     */
+    use(direction, room, player) {
+        // To be implemented by subclasses
+        return false;
+    }
+}
+
+export class SwordItem extends Item {
+    constructor() {
+        super({ id: 'sword', name: 'Sword', icon: 'W', color: '#dddddd', useSound: 'playAttack' });
+    }
+
+    use(direction, room, player) {
+        return player.attack(direction.dx, direction.dy, room);
+    }
+}
+
+export class FlagItem extends Item {
+    /**
+     * @param {number} charges - Flags carried
+     * @param {boolean} isOracle - Oracle flags show whether a bomb is underneath (default: false)
+     */
+    constructor(charges, isOracle = false) {
+        super({
+            id: isOracle ? 'oracle' : 'flag',
+            name: isOracle ? 'Oracle Flag' : 'Flag',
+            icon: isOracle ? 'O' : 'F',
+            color: isOracle ? '#66dd44' : '#6699ff',
+            charges,
+            keepWhenEmpty: true
+        });
+        this.isOracle = isOracle;
+    }
+
+    use(direction, room, player) {
+        const targetX = player.x + direction.dx;
+        const targetY = player.y + direction.dy;
+
+        if (!room.isHidden(targetX, targetY)) {
+            console.log('Can only place flags on hidden tiles');
+            return false;
+        }
+        if (!this.hasCharges()) {
+            console.log('No flags available!');
+            return false;
+        }
+        if (!room.placeFlag(targetX, targetY, this.isOracle)) {
+            return false;
+        }
+
+        this.spendCharge();
+        return true;
+    }
+}
+
+// Marks hidden tiles for the player's own notes (free, never takes a turn)
+export class AnnotateItem extends Item {
+    constructor() {
+        super({ id: 'annotate', name: 'Annotate', icon: '?', color: '#ffcc00' });
+    }
+
+    use(direction, room, player) {
+        room.cycleAnnotation(player.x + direction.dx, player.y + direction.dy);
+        return false;
+    }
+}
+
+// Puts a status effect on the player for a few of their turns (see StatusEffects)
+export class EffectItem extends Item {
+    /**
+     * @param {Object} options - Item options (see Item)
+     * @param {Object} effect - STATUS_EFFECT value put on the player
+     * @param {number} turns - How many of the player's turns it lasts
+     */
+    constructor(options, effect, turns) {
+        super(options);
+        this.effect = effect;
+        this.turns = turns;
+    }
+
+    use(direction, room, player) {
+        player.statusEffects.add(this.effect, this.turns);
+        console.log(`${this.effect.name} for ${this.turns} turns`);
+        this.spendCharge();
+        return true;
+    }
+}
+
+// Blocks every hit for a few turns
+export class ShieldItem extends EffectItem {
+    /**
+     * @param {number} charges - Shields carried
+     */
+    constructor(charges) {
+        super({ id: 'shield', name: 'Shield', icon: 'G', color: '#66bbff', charges }, STATUS_EFFECT.SHIELDED, SHIELD_TURNS);
+    }
+}
+
+// Doubles the player's speed for a few turns
+export class HasteItem extends EffectItem {
+    /**
+     * @param {number} charges - Haste potions carried
+     */
+    constructor(charges) {
+        super({ id: 'haste', name: 'Haste', icon: 'H', color: '#ffffff', charges }, STATUS_EFFECT.HASTE, HASTE_TURNS);
+    }
+}
+
+// Safely reveals the first hidden tile (up to PROBE_RANGE away) in a direction
+export class ProbeItem extends Item {
+    /**
+     * @param {number} charges - Probes carried
+     */
+    constructor(charges) {
+        super({ id: 'probe', name: 'Probe', icon: 'P', color: '#cc88ff', charges });
+    }
+
+    use(direction, room, player) {
+        for (let i = 1; i <= PROBE_RANGE; i++) {
+            const x = player.x + direction.dx * i;
+            const y = player.y + direction.dy * i;
+            if (!room.getTerrain(x, y).walkable) break;
+            if (!room.isHidden(x, y) || room.getFlagAt(x, y)) continue;
+
+            console.log(`Probe revealed (${x}, ${y})`);
+            room.revealCell(x, y);
+            room.flashCell(x, y);
+            this.spendCharge();
+            return true;
+        }
+
+        console.log('Nothing for the probe to reveal that way');
+        return false;
+    }
+}
+
+// Tells whether the 3x3 area around the player holds any bomb, but not where
+export class DetectorItem extends Item {
+    /**
+     * @param {number} charges - Detector pings carried
+     */
+    constructor(charges) {
+        super({ id: 'detector', name: 'Detector', icon: 'D', color: '#ff6666', charges });
+    }
+
+    use(direction, room, player) {
+        const area = room.addScan(player.x, player.y, DETECTOR_RADIUS, false);
+        console.log(area.bombs > 0 ? 'Detector: bombs nearby!' : 'Detector: all clear');
+        this.spendCharge();
+        return true;
+    }
+}
+
+// Shows the exact number of bombs in the 5x5 area around the player and reveals the enemies in it
+export class SonarItem extends Item {
+    /**
+     * @param {number} charges - Sonar pings carried
+     */
+    constructor(charges) {
+        super({ id: 'sonar', name: 'Sonar', icon: 'S', color: '#44cccc', charges });
+    }
+
+    use(direction, room, player) {
+        const area = room.addScan(player.x, player.y, SONAR_RADIUS, true);
+        console.log(`Sonar: ${area.bombs} bomb(s) nearby`);
+
+        room.enemies
+            .filter(enemy => room.getEntityCells(enemy).some(cell =>
+                cell.x >= area.x0 && cell.x <= area.x1 && cell.y >= area.y0 && cell.y <= area.y1))
+            .forEach(enemy => enemy.statusEffects.add(STATUS_EFFECT.REVEALED, SONAR_REVEAL_TURNS));
+
+        this.spendCharge();
+        return true;
+    }
+}
+
+// Lights an explosive on the next cell; it goes off a few turns later (see Room.explode)
+export class ExplosiveItem extends Item {
+    /**
+     * @param {number} charges - Explosives carried
+     */
+    constructor(charges) {
+        super({ id: 'explosive', name: 'Explosive', icon: 'X', color: '#ff8800', charges });
+    }
+
+    use(direction, room, player) {
+        const targetX = player.x + direction.dx;
+        const targetY = player.y + direction.dy;
+
+        if (!room.placeExplosive(targetX, targetY, EXPLOSIVE_FUSE, EXPLOSIVE_RADIUS)) {
+            console.log('Cannot place an explosive there');
+            return false;
+        }
+
+        this.spendCharge();
+        return true;
+    }
+}
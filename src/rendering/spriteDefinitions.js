@@ -7,6 +7,7 @@ export const SPRITES = {
     // Format: { sheet: 'sheet_name', row: number, col: number }
     FLAG_DANGER: { sheet: 'sheet_1', row: 23, col: 21 },  // Red/danger flag (bomb underneath)
     FLAG_SAFE: { sheet: 'sheet_1', row: 24, col: 26 },    // Green/safe flag (no bomb)
+    FLAG: { sheet: 'sheet_1', row: 23, col: 25 },         // Blue flag (unverified, looks the same either way)
 
     // Room tile sprites
     FLOOR_1: { sheet: 'sheet_1', row: 30, col: 13 },    // Floor tile variant 1
@@ -16,9 +17,17 @@ export const SPRITES = {
     FLOOR_5: { sheet: 'sheet_1', row: 32, col: 13 },    // Floor tile variant 5
     FLOOR_6: { sheet: 'sheet_1', row: 32, col: 14 },    // Floor tile variant 6
     WALL: { sheet: 'sheet_1', row: 7, col: 14 },        // Wall tile
+    CRACKED_WALL: { sheet: 'sheet_1', row: 11, col: 11 }, // Wall that blasts can destroy
+    WATER: { sheet: 'sheet_1', row: 17, col: 4 },       // Water tile
+    SPIKES: { sheet: 'sheet_1', row: 35, col: 13 },     // Spike trap tile
+    PIT: { sheet: 'sheet_1', row: 32, col: 16 },        // Pit down to the next level
     BOMB: { sheet: 'sheet_1', row: 26, col: 21 },       // Bomb entity
     ENEMY: { sheet: 'sheet_1', row: 19, col: 31 },      // Enemy entity
     ENEMY_2: { sheet: 'sheet_1', row: 21, col: 31 },    // Enemy entity variant 2
+    ENEMY_3: { sheet: 'sheet_1', row: 20, col: 31 },    // Hunter (pathfinding enemy)
+    ENEMY_RANGED: { sheet: 'sheet_1', row: 11, col: 4 }, // Spitter (ranged enemy)
+    ENEMY_SABOTEUR: { sheet: 'sheet_1', row: 9, col: 4 }, // Saboteur (plants bombs)
+    BOSS_TREANT: { sheet: 'sheet_1', row: 8, col: 2 },  // Rotten Treant boss (drawn over 2x2 cells)
     COIN: { sheet: 'sheet_1', row: 41, col: 31 },       // Coin entity
     PLAYER: { sheet: 'sheet_1', row: 10, col: 3 },     // Player entity (Best guess: near enemies/items)
 
@@ -0,0 +1,306 @@
+// Minesweeper-style constraint solver used to check rooms for forced guesses
+// Simulates a player who only sees revealed tiles and their hints, and checks
+// whether every exit can be reached by stepping exclusively on tiles proven safe.
+
+const CARDINAL_DIRS = [[0, 1], [0, -1], [1, 0], [-1, 0]];
+const DIAGONAL_DIRS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+// What the simulated player knows about each cell
+export const KNOWLEDGE = {
+    UNKNOWN: 0,
+    SAFE: 1,      // Proven empty (revealed or deduced)
+    OCCUPIED: 2   // Proven to hold an entity (deduced ones are always counted by hints)
+};
+
+export class NoGuessSolver {
+    /**
+     * Creates a solver for a room
+     * Deductions follow the room's hint mode: a tile is "safe" once proven free of
+     * every entity type the hints count (in classic mode, of bombs). Typed hints are
+     * only used through their total, which keeps the deductions sound.
+     * @param {Room} room - The room to analyse (read only)
+     */
+    constructor(room) {
+        this.room = room;
+        this.width = room.width;
+        this.height = room.height;
+
+        // Simulated reveal state, separate from the room's own cellData
+        this.revealed = [];
+        this.knowledge = [];
+    }
+
+    /**
+     * Runs the deduction loop
+     * @returns {{solvable: boolean, frontier: {x: number, y: number}[]}}
+     *   solvable - True if every exit is reachable without guessing
+     *   frontier - Unknown cells bordering revealed hints when the solver got stuck
+     */
+    solve() {
+        const room = this.room;
+
+        for (let y = 0; y < this.height; y++) {
+            this.revealed[y] = [];
+            this.knowledge[y] = [];
+            for (let x = 0; x < this.width; x++) {
+                const isWall = !room.getTerrain(x, y).walkable;
+                const isVisible = !room.cellData[y][x].hidden;
+                this.revealed[y][x] = isVisible;
+                this.knowledge[y][x] = (isWall || isVisible) ? KNOWLEDGE.SAFE : KNOWLEDGE.UNKNOWN;
+            }
+        }
+
+        const visited = new Set();
+        let progress = true;
+
+        while (progress) {
+            // Walk everywhere that is currently proven safe, revealing as we go
+            this.explore(visited);
+
+            if (room.exits.every(exit => visited.has(`${exit.x},${exit.y}`))) {
+                return { solvable: true, frontier: [] };
+            }
+
+            progress = this.deduce();
+        }
+
+        return { solvable: false, frontier: this.getFrontier() };
+    }
+
+    /**
+     * BFS from the entrance over safe floor cells (never hazards), stepping on each one
+     * @param {Set<string>} visited - Cells already stepped on (persisted between calls)
+     */
+    explore(visited) {
+        const start = this.room.entrancePos;
+        const queue = [start];
+        const seen = new Set([`${start.x},${start.y}`]);
+
+        for (let i = 0; i < queue.length; i++) {
+            const curr = queue[i];
+            const key = `${curr.x},${curr.y}`;
+
+            if (!visited.has(key)) {
+                visited.add(key);
+                this.step(curr.x, curr.y);
+            }
+
+            for (const [dx, dy] of CARDINAL_DIRS) {
+                const nx = curr.x + dx;
+                const ny = curr.y + dy;
+                const nKey = `${nx},${ny}`;
+
+                if (this.inBounds(nx, ny) && !seen.has(nKey) &&
+                    this.room.isSafeGround(nx, ny) &&
+                    this.knowledge[ny][nx] === KNOWLEDGE.SAFE) {
+                    seen.add(nKey);
+                    queue.push({ x: nx, y: ny });
+                }
+            }
+        }
+    }
+
+    /**
+     * Simulates the player stepping on a safe tile (mirrors Room.onPlayerEnter)
+     * @param {number} x
+     * @param {number} y
+     */
+    step(x, y) {
+        const wasHidden = !this.revealed[y][x];
+        this.reveal(x, y);
+
+        // Stepping on an entity picks it up or fights it instead of flood filling
+        if (wasHidden && this.room.cellData[y][x].hint === 0 && !this.room.getTerrain(x, y).hidesHint &&
+            !this.room.hasEntityAt(x, y)) {
+            this.floodFill(x, y);
+        }
+    }
+
+    /**
+     * Mirrors Room.floodFillUnhide on the simulated reveal state
+     * @param {number} startX
+     * @param {number} startY
+     */
+    floodFill(startX, startY) {
+        const room = this.room;
+        const stack = [{ x: startX, y: startY }];
+        const visited = new Set([`${startX},${startY}`]);
+
+        while (stack.length > 0) {
+            const { x, y } = stack.pop();
+            this.reveal(x, y);
+
+            if (room.cellData[y][x].hint > 0 || room.hasEntityAt(x, y) || room.getTerrain(x, y).hidesHint) {
+                continue;
+            }
+
+            for (const [dx, dy] of CARDINAL_DIRS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                const key = `${nx},${ny}`;
+                if (this.inBounds(nx, ny) && !visited.has(key)) {
+                    visited.add(key);
+                    stack.push({ x: nx, y: ny });
+                }
+            }
+
+            for (const [dx, dy] of DIAGONAL_DIRS) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (this.inBounds(nx, ny) && room.cellData[ny][nx].hint > 0) {
+                    this.reveal(nx, ny);
+                }
+            }
+        }
+    }
+
+    /**
+     * Marks a cell as revealed; a revealed cell's content is known
+     * @param {number} x
+     * @param {number} y
+     */
+    reveal(x, y) {
+        this.revealed[y][x] = true;
+        if (this.knowledge[y][x] === KNOWLEDGE.UNKNOWN) {
+            this.knowledge[y][x] = this.room.hasEntityAt(x, y) ? KNOWLEDGE.OCCUPIED : KNOWLEDGE.SAFE;
+        }
+    }
+
+    /**
+     * Builds one constraint per revealed hint tile that still borders unknown cells
+     * @returns {{cells: string[], remaining: number}[]}
+     */
+    buildConstraints() {
+        const constraints = [];
+
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                // Walls, water and pits show no hint
+                if (!this.revealed[y][x] || this.room.getTerrain(x, y).hidesHint) continue;
+                // Hints are not drawn on tiles holding an entity
+                if (this.room.hasEntityAt(x, y)) continue;
+
+                const cells = [];
+                let remaining = this.room.cellData[y][x].hint;
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if (dx === 0 && dy === 0) continue;
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (!this.inBounds(nx, ny)) continue;
+
+                        const known = this.knowledge[ny][nx];
+                        if (known === KNOWLEDGE.OCCUPIED && this.isCounted(nx, ny)) remaining--;
+                        else if (known === KNOWLEDGE.UNKNOWN) cells.push(`${nx},${ny}`);
+                    }
+                }
+
+                if (cells.length > 0) {
+                    constraints.push({ cells, remaining });
+                }
+            }
+        }
+
+        return constraints;
+    }
+
+    /**
+     * Checks whether an occupied cell adds to its neighbours' hints
+     * Seen entities are checked by type; deduced ones came from hints, so they count.
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    isCounted(x, y) {
+        return !this.revealed[y][x] || this.room.isCountedByHints(this.room.getEntityAt(x, y));
+    }
+
+    /**
+     * Applies single-constraint and subset deductions
+     * @returns {boolean} True if any unknown cell was resolved
+     */
+    deduce() {
+        const constraints = this.buildConstraints();
+        let progress = false;
+
+        const mark = (cells, value) => {
+            cells.forEach(key => {
+                const [x, y] = key.split(',').map(Number);
+                if (this.knowledge[y][x] === KNOWLEDGE.UNKNOWN) {
+                    this.knowledge[y][x] = value;
+                    progress = true;
+                }
+            });
+        };
+
+        // Single constraint: all safe or all occupied
+        for (const c of constraints) {
+            if (c.remaining === 0) mark(c.cells, KNOWLEDGE.SAFE);
+            else if (c.remaining === c.cells.length) mark(c.cells, KNOWLEDGE.OCCUPIED);
+        }
+        if (progress) return true;
+
+        // Subset rule: if A's cells are all in B, B \ A holds exactly (B - A) entities
+        const byCell = new Map();
+        constraints.forEach((c, index) => {
+            c.cells.forEach(key => {
+                if (!byCell.has(key)) byCell.set(key, []);
+                byCell.get(key).push(index);
+            });
+        });
+
+        for (const a of constraints) {
+            const related = new Set();
+            a.cells.forEach(key => byCell.get(key).forEach(index => related.add(index)));
+
+            for (const index of related) {
+                const b = constraints[index];
+                if (b === a || b.cells.length <= a.cells.length) continue;
+                if (!a.cells.every(key => b.cells.includes(key))) continue;
+
+                const rest = b.cells.filter(key => !a.cells.includes(key));
+                const restCount = b.remaining - a.remaining;
+
+                if (restCount === 0) mark(rest, KNOWLEDGE.SAFE);
+                else if (restCount === rest.length) mark(rest, KNOWLEDGE.OCCUPIED);
+            }
+        }
+
+        return progress;
+    }
+
+    /**
+     * Collects unknown cells next to revealed tiles (where the player got stuck)
+     * @returns {{x: number, y: number}[]}
+     */
+    getFrontier() {
+        const frontier = [];
+
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.knowledge[y][x] !== KNOWLEDGE.UNKNOWN) continue;
+
+                let bordersRevealed = false;
+                for (let dy = -1; dy <= 1 && !bordersRevealed; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (this.inBounds(nx, ny) && this.revealed[ny][nx] && this.room.getTerrain(nx, ny).walkable) {
+                            bordersRevealed = true;
+                            break;
+                        }
+                    }
+                }
+
+                if (bordersRevealed) frontier.push({ x, y });
+            }
+        }
+
+        return frontier;
+    }
+
+    inBounds(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+}
@@ -0,0 +1,273 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameSession, GAME_EVENT } from '../src/GameSession.js';
+import { SIDE } from '../src/Room.js';
+import { Random } from '../src/Random.js';
+import { Bomb } from '../src/Bomb.js';
+import { Coin } from '../src/Coin.js';
+import { Enemy, ENEMY_KINDS, createEnemy } from '../src/Enemy.js';
+import { TERRAIN } from '../src/Terrain.js';
+import { SonarItem } from '../src/items/Items.js';
+import { BOSS_FLOOR_INTERVAL } from '../src/DifficultyCurve.js';
+
+// The simulation logs every action; keep the test output readable
+mock.method(console, 'log', () => {});
+
+// Step that leaves a room through a door on each side
+const OUTWARD = {
+    [SIDE.TOP]: { dx: 0, dy: -1 },
+    [SIDE.RIGHT]: { dx: 1, dy: 0 },
+    [SIDE.BOTTOM]: { dx: 0, dy: 1 },
+    [SIDE.LEFT]: { dx: -1, dy: 0 }
+};
+
+/**
+ * Starts a run and empties the first room: no entities, no inner walls or terrain, and the
+ * player in the middle of it
+ * @param {string} seed
+ * @returns {GameSession}
+ */
+function startInEmptyRoom(seed) {
+    const session = new GameSession();
+    session.startNewGame(seed);
+
+    const room = session.currentRoom;
+    room.clearEntities();
+    for (let y = 1; y < room.height - 1; y++) {
+        for (let x = 1; x < room.width - 1; x++) {
+            room.setCellType(x, y, TERRAIN.FLOOR);
+        }
+    }
+    room.calculateHints();
+    session.player.setPlayerPosition(Math.floor(room.width / 2), Math.floor(room.height / 2), room);
+
+    return session;
+}
+
+test('stepping on a coin adds coins', () => {
+    const session = startInEmptyRoom('coin');
+    const { x, y } = session.player;
+    session.currentRoom.addEntity('coin', new Coin(x + 1, y));
+    const events = [];
+    session.on(GAME_EVENT.COIN_COLLECTED, data => events.push(data));
+
+    assert.equal(session.movePlayer(1, 0), true);
+    assert.equal(session.coins, 10);
+    assert.deepEqual(events, [{ coins: 10 }]);
+});
+
+test('stepping on a bomb or an enemy hurts the player', () => {
+    const session = startInEmptyRoom('bomb');
+    const { x, y } = session.player;
+    session.currentRoom.addEntity('bomb', new Bomb(x + 1, y));
+    const damage = [];
+    session.on(GAME_EVENT.PLAYER_DAMAGED, data => damage.push(data.amount));
+
+    session.movePlayer(1, 0);
+    assert.equal(session.player.health, 2);
+
+    // Added after the first step so it has no turn to strike first
+    session.currentRoom.addEntity('enemy', new Enemy(x + 2, y));
+    session.movePlayer(1, 0);
+    assert.equal(session.player.health, 1);
+    assert.deepEqual(damage, [1, 1]);
+});
+
+test('an enemy that survives its attack stays and pushes the player back', () => {
+    const session = startInEmptyRoom('ranged');
+    const { x, y } = session.player;
+    const enemy = createEnemy(ENEMY_KINDS.RANGED, x + 1, y);
+    session.currentRoom.addEntity('enemy', enemy);
+
+    assert.equal(session.movePlayer(1, 0), true);
+    assert.equal(session.player.health, 2);
+    assert.deepEqual({ x: session.player.x, y: session.player.y }, { x, y });
+    assert.ok(session.currentRoom.enemies.includes(enemy));
+});
+
+test('enemy intents are worked out once after every turn', () => {
+    const session = startInEmptyRoom('intents');
+    const { x, y } = session.player;
+    const enemy = createEnemy(ENEMY_KINDS.HUNTER, x + 4, y);
+    enemy.behavior.active = true;
+    session.currentRoom.addEntity('enemy', enemy);
+    assert.equal(session.intents.size, 0);
+
+    session.movePlayer(0, 1);
+    assert.deepEqual(session.intents.get(enemy), enemy.getIntent(session.player, session.currentRoom));
+});
+
+test('a shield from the hotbar blocks hits and the effects they carry', () => {
+    const session = startInEmptyRoom('shield');
+    const { x, y } = session.player;
+    session.selectItem(session.player.inventory.items.findIndex(item => item.id === 'shield'));
+    assert.equal(session.useSelectedItem(0, 0), true);
+    assert.equal(session.player.inventory.find('shield'), null, 'used up');
+
+    const hunter = createEnemy(ENEMY_KINDS.HUNTER, x + 2, y);
+    session.currentRoom.addEntity('bomb', new Bomb(x + 1, y));
+    session.currentRoom.addEntity('enemy', hunter);
+    const damage = [];
+    session.on(GAME_EVENT.PLAYER_DAMAGED, data => damage.push(data.amount));
+
+    session.movePlayer(1, 0);
+    hunter.applyAttackEffect(session.player);
+    assert.equal(session.player.health, 3);
+    assert.deepEqual(damage, []);
+    assert.equal(session.player.statusEffects.active.length, 1, 'only the shield');
+});
+
+test('sonar shows the enemies in its area through hidden tiles', () => {
+    const session = startInEmptyRoom('sonar');
+    const { x, y } = session.player;
+    const near = new Enemy(x + 2, y + 2);
+    const far = new Enemy(x + 3, y);
+    session.currentRoom.addEntity('enemy', near);
+    session.currentRoom.addEntity('enemy', far);
+    session.player.inventory.add(new SonarItem(1));
+    session.selectItem(session.player.inventory.items.findIndex(item => item.id === 'sonar'));
+
+    assert.equal(session.useSelectedItem(0, 0), true);
+    assert.equal(near.statusEffects.isSeenThroughTiles(), true);
+    assert.equal(far.statusEffects.isSeenThroughTiles(), false);
+});
+
+test('a correct flag caught in an explosion is refunded and rewarded', () => {
+    const session = startInEmptyRoom('explosion');
+    const { x, y } = session.player;
+    const room = session.currentRoom;
+    room.addEntity('bomb', new Bomb(x - 3, y));
+    room.placeFlag(x - 3, y);
+    room.placeExplosive(x - 3, y + 1, 1, 1);
+    const flags = session.player.inventory.find('flag').charges;
+
+    session.movePlayer(1, 0);
+    assert.equal(room.flags.length, 0);
+    assert.equal(session.player.inventory.find('flag').charges, flags + 1);
+    assert.equal(session.coins, 5);
+    assert.equal(session.player.health, 3, 'out of reach');
+});
+
+test('losing the last health ends the game', () => {
+    const session = startInEmptyRoom('over');
+    const { x, y } = session.player;
+    session.currentRoom.addEntity('bomb', new Bomb(x + 1, y));
+    session.player.health = 1;
+    let gameOver = false;
+    session.on(GAME_EVENT.GAME_OVER, () => { gameOver = true; });
+
+    session.movePlayer(1, 0);
+    assert.equal(gameOver, true);
+    assert.equal(session.movePlayer(-1, 0), false, 'no moves after game over');
+});
+
+test('falling into a pit leads to the next level', () => {
+    const session = startInEmptyRoom('pit');
+    const { x, y } = session.player;
+    session.currentRoom.setCellType(x + 1, y, TERRAIN.PIT);
+
+    session.movePlayer(1, 0);
+    assert.equal(session.depth, 2);
+    const entrance = session.currentRoom.entrancePos;
+    assert.deepEqual({ x: session.player.x, y: session.player.y }, { x: entrance.x, y: entrance.y });
+});
+
+test('spikes hurt the player', () => {
+    const session = startInEmptyRoom('spikes');
+    const { x, y } = session.player;
+    session.currentRoom.setCellType(x + 1, y, TERRAIN.SPIKES);
+
+    session.movePlayer(1, 0);
+    assert.equal(session.player.health, 2);
+});
+
+test('moving into a wall takes no turn', () => {
+    const session = startInEmptyRoom('wall');
+    const { x, y } = session.player;
+    session.currentRoom.setCellType(x + 1, y, TERRAIN.WALL);
+
+    assert.equal(session.movePlayer(1, 0), false);
+    assert.equal(session.player.x, x);
+});
+
+test('doors lead to the linked room and the stairs to the next level', () => {
+    const session = startInEmptyRoom('doors');
+    const firstRoom = session.currentRoom;
+    const door = firstRoom.exits.find(exit => firstRoom.links[exit.side]);
+
+    // Step onto the door from the tile inside it
+    const { dx, dy } = OUTWARD[door.side];
+    session.player.setPlayerPosition(door.x - dx, door.y - dy, firstRoom);
+    session.movePlayer(dx, dy);
+    assert.notEqual(session.currentRoom, firstRoom);
+    assert.equal(session.depth, 1);
+
+    session.startNextLevel();
+    assert.equal(session.depth, 2);
+    const entrance = session.currentRoom.entrancePos;
+    assert.deepEqual({ x: session.player.x, y: session.player.y }, { x: entrance.x, y: entrance.y });
+});
+
+/**
+ * Describes every room of the session's floor: terrain and where each entity starts
+ * @param {GameSession} session
+ * @returns {string}
+ */
+function describeFloor(session) {
+    return session.floor.nodes.map(({ room }) => [
+        room.grid.map(row => row.join('')).join('/'),
+        room.bombs.map(bomb => `${bomb.x},${bomb.y}`).join(';'),
+        room.enemies.map(enemy => `${enemy.x},${enemy.y}`).join(';'),
+        room.coins.map(coin => `${coin.x},${coin.y}`).join(';')
+    ].join('|')).join('\n');
+}
+
+/**
+ * Plays a while on the current floor: a few idle turns of a sleeping saboteur, random steps
+ * next to an awake one, a summon from every boss on the floor and a few loot rolls
+ * (everything that draws gameplay randomness)
+ * @param {GameSession} session
+ * @param {Random} inputRng - Picks the player's steps
+ */
+function play(session, inputRng) {
+    const depth = session.depth;
+    const room = session.currentRoom;
+    const { dx, dy } = OUTWARD[room.entranceSide];
+
+    const [sleeper, saboteur] = [3, 2].map(distance => {
+        const enemy = createEnemy(ENEMY_KINDS.SABOTEUR, session.player.x - dx * distance, session.player.y - dy * distance);
+        room.setCellType(enemy.x, enemy.y, TERRAIN.FLOOR);
+        room.removeEntity(room.getEntityAt(enemy.x, enemy.y));
+        room.addEntity('enemy', enemy);
+        return enemy;
+    });
+    for (let i = 0; i < 5; i++) sleeper.idleBehavior.takeTurn(sleeper, session.player, room);
+    saboteur.behavior.active = true;
+
+    for (let i = 0; i < 30 && session.depth === depth; i++) {
+        session.movePlayer(...inputRng.pick([[1, 0], [-1, 0], [0, 1], [0, -1]]));
+    }
+
+    for (const { room } of session.floor.nodes) {
+        if (room.boss) room.boss.summonMinion(session.player, room);
+    }
+    for (let i = 0; i < 5; i++) session.rollLoot();
+}
+
+test('the same seed builds the same floors however the run is played', () => {
+    const reference = new GameSession();
+    reference.startNewGame('reproducible');
+    const played = new GameSession();
+    played.startNewGame('reproducible');
+    const inputRng = new Random('input');
+
+    for (let depth = 1; depth <= BOSS_FLOOR_INTERVAL + 1; depth++) {
+        assert.equal(describeFloor(played), describeFloor(reference), `floor ${depth}`);
+
+        played.player.health = 1000;
+        play(played, inputRng);
+
+        reference.startNextLevel();
+        while (played.depth < reference.depth) played.startNextLevel();
+    }
+});
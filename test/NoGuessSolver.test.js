@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NoGuessSolver, KNOWLEDGE } from '../src/solver/NoGuessSolver.js';
+import { TERRAIN, getTerrainType } from '../src/Terrain.js';
+
+/**
+ * Builds the parts of a room the solver reads from a text map ('#' wall, 'B' bomb, '.' floor)
+ * @param {string[]} rows
+ * @returns {Object} Room stand-in with hints counted around each bomb
+ */
+function createRoom(rows) {
+    const bombs = new Set();
+    const grid = rows.map((row, y) => [...row].map((char, x) => {
+        if (char === 'B') bombs.add(`${x},${y}`);
+        return char === '#' ? TERRAIN.WALL : TERRAIN.FLOOR;
+    }));
+    const hasEntityAt = (x, y) => bombs.has(`${x},${y}`);
+    const getTerrain = (x, y) => getTerrainType(grid[y] && grid[y][x]);
+
+    const cellData = grid.map((row, y) => row.map((_, x) => {
+        let hint = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                if ((dx !== 0 || dy !== 0) && hasEntityAt(x + dx, y + dy)) hint++;
+            }
+        }
+        return { hidden: true, hint };
+    }));
+
+    return {
+        width: rows[0].length,
+        height: rows.length,
+        grid,
+        cellData,
+        hasEntityAt,
+        getTerrain,
+        isSafeGround: (x, y) => getTerrain(x, y).walkable && !getTerrain(x, y).hazard
+    };
+}
+
+/**
+ * Creates a solver whose simulated player has only revealed the given cells
+ * @param {Object} room
+ * @param {number[][]} revealedCells - [x, y] pairs
+ * @returns {NoGuessSolver}
+ */
+function createSolver(room, revealedCells) {
+    const solver = new NoGuessSolver(room);
+    solver.revealed = room.grid.map(row => row.map(() => false));
+    solver.knowledge = room.grid.map(row => row.map(() => KNOWLEDGE.UNKNOWN));
+    revealedCells.forEach(([x, y]) => solver.reveal(x, y));
+    return solver;
+}
+
+test('single constraints mark cells safe or occupied', () => {
+    const room = createRoom([
+        '.B...',
+        '.....'
+    ]);
+    const solver = createSolver(room, [[0, 1], [1, 1], [2, 1], [3, 1], [4, 1]]);
+
+    // The 0 hints clear the cells above them
+    assert.equal(solver.deduce(), true);
+    assert.deepEqual(solver.knowledge[0], [KNOWLEDGE.UNKNOWN, KNOWLEDGE.UNKNOWN, KNOWLEDGE.SAFE, KNOWLEDGE.SAFE, KNOWLEDGE.SAFE]);
+
+    // The 1 next to them now has a single unknown cell left: the bomb
+    assert.equal(solver.deduce(), true);
+    assert.equal(solver.knowledge[0][1], KNOWLEDGE.OCCUPIED);
+
+    // Which satisfies the 1 in the corner
+    assert.equal(solver.deduce(), true);
+    assert.equal(solver.knowledge[0][0], KNOWLEDGE.SAFE);
+});
+
+test('the subset rule clears cells no single constraint can', () => {
+    const room = createRoom([
+        'B...',
+        '....'
+    ]);
+    const solver = createSolver(room, [[0, 1], [1, 1]]);
+
+    // Both 1s share the bomb among (0, 0) and (1, 0), so the second one's other cells are safe
+    assert.equal(solver.deduce(), true);
+    assert.equal(solver.knowledge[0][2], KNOWLEDGE.SAFE);
+    assert.equal(solver.knowledge[1][2], KNOWLEDGE.SAFE);
+    assert.equal(solver.knowledge[0][0], KNOWLEDGE.UNKNOWN);
+    assert.equal(solver.knowledge[0][1], KNOWLEDGE.UNKNOWN);
+});
+
+test('deduce reports no progress when only a guess is left', () => {
+    const room = createRoom([
+        'B...',
+        '....'
+    ]);
+    const solver = createSolver(room, [[0, 1]]);
+
+    assert.equal(solver.deduce(), false);
+    assert.equal(solver.knowledge[0][0], KNOWLEDGE.UNKNOWN);
+});
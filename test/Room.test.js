@@ -0,0 +1,283 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Room, SIDE, PLAYER_MOVE_RESULT } from '../src/Room.js';
+import { Random } from '../src/Random.js';
+import { Bomb } from '../src/Bomb.js';
+import { Coin } from '../src/Coin.js';
+import { Enemy, ENEMY_KINDS, createEnemy } from '../src/Enemy.js';
+import { Player } from '../src/Player.js';
+import { TERRAIN } from '../src/Terrain.js';
+import { BOSS_KINDS } from '../src/Boss.js';
+
+// The simulation logs every action; keep the test output readable
+mock.method(console, 'log', () => {});
+
+/**
+ * Creates a 10x10 room without inner walls, terrain or entities (every inner tile hidden)
+ * @returns {Room}
+ */
+function createEmptyRoom() {
+    const room = new Room(10, 10, 30, SIDE.LEFT, 0, 0, 0, new Random('test'), { wallDensity: [0, 0] });
+    room.clearEntities();
+    for (let y = 1; y < room.height - 1; y++) {
+        for (let x = 1; x < room.width - 1; x++) {
+            room.setCellType(x, y, TERRAIN.FLOOR);
+            room.cellData[y][x].hidden = true;
+        }
+    }
+    room.calculateHints();
+    return room;
+}
+
+/**
+ * @param {Room} room
+ * @returns {number} Hidden tiles inside the outer walls
+ */
+function countHidden(room) {
+    let hidden = 0;
+    for (let y = 1; y < room.height - 1; y++) {
+        for (let x = 1; x < room.width - 1; x++) {
+            if (room.isHidden(x, y)) hidden++;
+        }
+    }
+    return hidden;
+}
+
+test('calculateHints counts the entities around each tile', () => {
+    const room = createEmptyRoom();
+    room.addEntity('bomb', new Bomb(4, 4));
+    room.addEntity('bomb', new Bomb(5, 4));
+    room.addEntity('coin', new Coin(7, 7));
+    room.calculateHints();
+
+    assert.equal(room.cellData[5][4].hint, 2);
+    assert.equal(room.cellData[3][6].hint, 1);
+    assert.equal(room.cellData[6][6].hint, 1);
+    assert.equal(room.cellData[6][6].hasNeighborCoin, true);
+    assert.equal(room.cellData[1][1].hint, 0);
+    // A tile does not count what stands on it
+    assert.equal(room.cellData[4][4].hint, 1);
+});
+
+test('floodFillUnhide opens empty tiles and stops at hint numbers', () => {
+    const room = createEmptyRoom();
+    room.addEntity('bomb', new Bomb(6, 6));
+    room.calculateHints();
+
+    room.floodFillUnhide(2, 2);
+
+    assert.equal(room.isHidden(2, 2), false);
+    assert.equal(room.isHidden(5, 5), false, 'hint tiles next to the open area are revealed');
+    assert.equal(room.isHidden(6, 6), true, 'the bomb stays hidden');
+    assert.equal(countHidden(room), 1);
+});
+
+test('floodFillUnhide does not spread past a hint number', () => {
+    const room = createEmptyRoom();
+    // A column of bombs splits the room; the tiles beside it show hints
+    for (let y = 1; y < room.height - 1; y++) {
+        room.addEntity('bomb', new Bomb(5, y));
+    }
+    room.calculateHints();
+
+    room.floodFillUnhide(1, 1);
+
+    assert.equal(room.isHidden(3, 4), false);
+    assert.equal(room.isHidden(4, 4), false);
+    assert.equal(room.isHidden(6, 4), true);
+    assert.equal(room.isHidden(8, 4), true);
+});
+
+test('onPlayerEnter reports what the player stepped on', () => {
+    const room = createEmptyRoom();
+    room.addEntity('coin', new Coin(2, 2));
+    room.addEntity('bomb', new Bomb(3, 3));
+    room.addEntity('enemy', new Enemy(4, 4));
+    room.setCellType(5, 5, TERRAIN.SPIKES);
+    room.setCellType(6, 6, TERRAIN.PIT);
+    room.calculateHints();
+
+    assert.equal(room.onPlayerEnter(1, 1), PLAYER_MOVE_RESULT.NORMAL);
+    assert.equal(room.onPlayerEnter(2, 2), PLAYER_MOVE_RESULT.COIN);
+    assert.equal(room.onPlayerEnter(3, 3), PLAYER_MOVE_RESULT.BOMB);
+    assert.equal(room.onPlayerEnter(4, 4), PLAYER_MOVE_RESULT.ENEMY);
+    assert.equal(room.onPlayerEnter(5, 5), PLAYER_MOVE_RESULT.SPIKES);
+    assert.equal(room.onPlayerEnter(6, 6), PLAYER_MOVE_RESULT.PIT);
+    assert.equal(room.onPlayerEnter(-1, 0), PLAYER_MOVE_RESULT.INVALID);
+
+    const exit = room.exits[0];
+    assert.equal(room.onPlayerEnter(exit.x, exit.y), PLAYER_MOVE_RESULT.REACHED_EXIT);
+
+    // What the player stepped on is used up
+    assert.equal(room.coins.length, 0);
+    assert.equal(room.bombs.length, 0);
+    assert.equal(room.enemies.length, 0);
+});
+
+test('onPlayerEnter flood fills from an empty hidden tile', () => {
+    const room = createEmptyRoom();
+    room.addEntity('bomb', new Bomb(7, 7));
+    room.calculateHints();
+
+    room.onPlayerEnter(1, 1);
+
+    assert.equal(room.isHidden(4, 4), false);
+    assert.equal(room.isHidden(7, 7), true);
+});
+
+test('enemies blocked by a hidden tile break it after a few turns', () => {
+    const room = createEmptyRoom();
+    const player = new Player(7, 4);
+    const enemy = new Enemy(2, 4);
+
+    room.revealCell(2, 4);
+    room.calculateHints();
+    enemy.behavior.active = true;
+
+    // The tile towards the player is hidden: the enemy waits...
+    assert.equal(enemy.takeTurn(player, room), false);
+    assert.equal(enemy.takeTurn(player, room), false);
+    assert.equal(room.isHidden(3, 4), true);
+    assert.deepEqual({ x: enemy.x, y: enemy.y }, { x: 2, y: 4 });
+
+    // ...then breaks it open and steps onto it
+    assert.equal(enemy.takeTurn(player, room), true);
+    assert.equal(room.isHidden(3, 4), false);
+    assert.deepEqual({ x: enemy.x, y: enemy.y }, { x: 3, y: 4 });
+});
+
+test('chord does nothing until the flags match the hint', () => {
+    const room = createEmptyRoom();
+    room.addEntity('bomb', new Bomb(4, 4));
+    room.calculateHints();
+    room.revealCell(5, 5);
+
+    assert.equal(room.chord(5, 5), null);
+
+    room.placeFlag(4, 4);
+    room.placeFlag(6, 6);
+    assert.equal(room.chord(5, 5), null);
+    assert.equal(room.isHidden(5, 4), true);
+});
+
+test('chord reveals the other neighbours once the flags match the hint', () => {
+    const room = createEmptyRoom();
+    room.addEntity('bomb', new Bomb(4, 4));
+    room.calculateHints();
+    room.revealCell(5, 5);
+    room.placeFlag(4, 4);
+
+    const result = room.chord(5, 5);
+
+    assert.equal(result.bombs, 0);
+    assert.ok(result.revealed > 0);
+    for (const [x, y] of [[5, 4], [6, 4], [4, 5], [6, 5], [4, 6], [5, 6], [6, 6]]) {
+        assert.equal(room.isHidden(x, y), false, `(${x}, ${y})`);
+    }
+    assert.equal(room.isHidden(4, 4), true, 'the flagged bomb stays hidden');
+});
+
+test('chord sets off the bombs a wrong flag left out', () => {
+    const room = createEmptyRoom();
+    room.addEntity('bomb', new Bomb(4, 4));
+    room.calculateHints();
+    room.revealCell(5, 5);
+    room.placeFlag(6, 6);
+
+    const result = room.chord(5, 5);
+
+    assert.equal(result.bombs, 1);
+    assert.equal(room.bombs.length, 0);
+});
+
+test('enemies that survive their attack stay when stepped on or chorded', () => {
+    const room = createEmptyRoom();
+    const stepped = createEnemy(ENEMY_KINDS.RANGED, 2, 2);
+    const chorded = createEnemy(ENEMY_KINDS.RANGED, 4, 4);
+    room.addEntity('enemy', stepped);
+    room.addEntity('enemy', chorded);
+    room.addEntity('enemy', new Enemy(4, 6));
+    room.calculateHints();
+
+    assert.equal(room.onPlayerEnter(2, 2), PLAYER_MOVE_RESULT.ENEMY);
+
+    // Flags on the wrong tiles: chording reveals both enemies next to (5, 5)
+    room.revealCell(5, 5);
+    room.placeFlag(6, 4);
+    room.placeFlag(6, 6);
+    const result = room.chord(5, 5);
+
+    assert.equal(result.enemies, 2);
+    assert.equal(result.enemyDamage, 2);
+    assert.deepEqual(room.enemies, [stepped, chorded], 'only the enemy spent by its attack is gone');
+});
+
+test('boss rooms never get pits, which would skip the boss', () => {
+    for (const seed of ['a', 'b', 'c', 'd']) {
+        const options = { terrain: { PIT: 0.05 }, boss: BOSS_KINDS.TREANT };
+        const room = new Room(15, 15, 30, SIDE.LEFT, 0, 0, 0, new Random(seed), options);
+
+        assert.ok(room.boss);
+        assert.ok(room.grid.every(row => !row.includes(TERRAIN.PIT)), `seed ${seed}`);
+    }
+});
+
+test('explode sets off bombs in a chain and hits the player once', () => {
+    const room = createEmptyRoom();
+    room.addEntity('bomb', new Bomb(3, 3));
+    room.addEntity('bomb', new Bomb(4, 4));
+    room.addEntity('enemy', new Enemy(5, 5));
+    room.calculateHints();
+
+    // The player stands in both the first blast and the first bomb's
+    const result = room.explode(2, 2, 1, new Player(3, 2));
+
+    assert.equal(result.bombs, 2);
+    assert.equal(result.enemies, 1, 'the second bomb reaches the enemy');
+    assert.equal(result.playerHit, true);
+    assert.equal(room.bombs.length, 0);
+    assert.equal(room.enemies.length, 0);
+});
+
+test('explode breaks inner walls and recalculates hints', () => {
+    const room = createEmptyRoom();
+    room.setCellType(5, 3, TERRAIN.WALL);
+    room.addEntity('bomb', new Bomb(5, 5));
+    room.addEntity('bomb', new Bomb(8, 8));
+    room.calculateHints();
+    assert.equal(room.cellData[6][6].hint, 1);
+
+    const result = room.explode(5, 4, 1, new Player(1, 8));
+
+    assert.equal(result.playerHit, false);
+    assert.equal(room.grid[3][5], TERRAIN.FLOOR);
+    assert.equal(room.grid[0][5], TERRAIN.WALL, 'outer walls stay');
+    assert.equal(room.cellData[6][6].hint, 0);
+});
+
+test('explode opens up the empty tiles it uncovers', () => {
+    const room = createEmptyRoom();
+    room.addEntity('bomb', new Bomb(8, 8));
+    room.calculateHints();
+
+    room.explode(2, 2, 1, new Player(8, 1));
+
+    assert.equal(countHidden(room), 1, 'only the bomb far away stays hidden');
+    assert.equal(room.isHidden(8, 8), true);
+});
+
+test('explode checks the flags in the blast before clearing them', () => {
+    const room = createEmptyRoom();
+    room.addEntity('bomb', new Bomb(3, 3));
+    room.calculateHints();
+    room.placeFlag(3, 3);
+    room.placeFlag(2, 3);
+    room.placeFlag(3, 2, true);
+    room.placeFlag(8, 8);
+
+    const result = room.explode(2, 2, 1, new Player(8, 1));
+
+    assert.equal(result.correctFlags, 1);
+    assert.equal(result.wrongFlags, 1, 'oracle flags are not counted');
+    assert.deepEqual(room.flags.map(flag => [flag.x, flag.y]), [[8, 8]]);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StatusEffects, STATUS_EFFECT } from '../src/StatusEffects.js';
+
+/**
+ * Creates an actor stand-in that tracks the damage it takes
+ * @returns {Object}
+ */
+function createActor() {
+    return {
+        health: 10,
+        takeDamage(amount) {
+            this.health -= amount;
+        }
+    };
+}
+
+test('poison deals its damage every third turn', () => {
+    const actor = createActor();
+    const effects = new StatusEffects();
+    effects.add(STATUS_EFFECT.POISON, 6);
+
+    const health = [];
+    for (let turn = 0; turn < 6; turn++) {
+        effects.tick(actor);
+        health.push(actor.health);
+    }
+
+    assert.deepEqual(health, [10, 10, 9, 9, 9, 8]);
+});
+
+test('effects expire after their turns run out', () => {
+    const actor = createActor();
+    const effects = new StatusEffects();
+    effects.add(STATUS_EFFECT.STUN, 1);
+    effects.add(STATUS_EFFECT.SLOW, 2);
+
+    assert.equal(effects.tick(actor), true, 'stunned for the first turn');
+    assert.equal(effects.has(STATUS_EFFECT.STUN), false);
+    assert.equal(effects.getSpeedMultiplier(), 0.5);
+
+    assert.equal(effects.tick(actor), false);
+    assert.equal(effects.active.length, 0);
+    assert.equal(effects.getSpeedMultiplier(), 1);
+});
+
+test('adding an effect again extends it instead of stacking', () => {
+    const effects = new StatusEffects();
+    effects.add(STATUS_EFFECT.SLOW, 2);
+    effects.add(STATUS_EFFECT.SLOW, 5);
+    effects.add(STATUS_EFFECT.SLOW, 1);
+
+    assert.equal(effects.active.length, 1);
+    assert.equal(effects.active[0].turns, 5);
+    assert.equal(effects.getSpeedMultiplier(), 0.5);
+});
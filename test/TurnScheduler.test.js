@@ -0,0 +1,110 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TurnScheduler, SPEED, ACTION_COST } from '../src/TurnScheduler.js';
+import { StatusEffects, STATUS_EFFECT } from '../src/StatusEffects.js';
+
+// The simulation logs every action; keep the test output readable
+mock.method(console, 'log', () => {});
+
+/**
+ * Creates a player or enemy stand-in that counts its actions
+ * @param {number} speed - SPEED value
+ * @param {number} energy - Energy it starts with
+ * @returns {Object}
+ */
+function createActor(speed, energy = 0) {
+    return {
+        speed,
+        energy,
+        health: 3,
+        actions: 0,
+        statusEffects: new StatusEffects(),
+        getSpeed() {
+            return this.speed * this.statusEffects.getSpeedMultiplier();
+        },
+        takeDamage(amount) {
+            this.health -= amount;
+        },
+        takeTurn() {
+            this.actions++;
+            return true;
+        }
+    };
+}
+
+/**
+ * Plays a number of player actions against the given enemies
+ * @param {Object[]} enemies
+ * @param {number} turns
+ * @param {Object} player - Player stand-in (default: a normal-speed one)
+ * @returns {{hintUpdates: number}} How often the room recalculated its hints
+ */
+function playTurns(enemies, turns, player = createActor(SPEED.NORMAL, ACTION_COST)) {
+    const scheduler = new TurnScheduler();
+    const room = {
+        enemies,
+        hintUpdates: 0,
+        calculateHints() { this.hintUpdates++; },
+        removeEntity({ entity }) { this.enemies = this.enemies.filter(enemy => enemy !== entity); }
+    };
+
+    for (let i = 0; i < turns; i++) scheduler.endPlayerTurn(player, room);
+    return { hintUpdates: room.hintUpdates };
+}
+
+test('enemies act once per player action at normal speed', () => {
+    const enemy = createActor(SPEED.NORMAL);
+    const { hintUpdates } = playTurns([enemy], 4);
+
+    assert.equal(enemy.actions, 4);
+    assert.equal(hintUpdates, 4);
+});
+
+test('slow enemies act every other player action and fast ones twice', () => {
+    const slow = createActor(SPEED.SLOW);
+    const fast = createActor(SPEED.FAST);
+    playTurns([slow, fast], 4);
+
+    assert.equal(slow.actions, 2);
+    assert.equal(fast.actions, 8);
+});
+
+test('hints are left alone when no enemy moved', () => {
+    const enemy = createActor(SPEED.NORMAL);
+    enemy.takeTurn = () => false;
+
+    assert.equal(playTurns([enemy], 3).hintUpdates, 0);
+});
+
+test('the slow effect halves how often an actor acts', () => {
+    const slowed = createActor(SPEED.NORMAL);
+    slowed.statusEffects.add(STATUS_EFFECT.SLOW, 10);
+    playTurns([slowed], 4);
+
+    assert.equal(slowed.actions, 2);
+});
+
+test('the haste effect doubles how often an actor acts', () => {
+    const hasted = createActor(SPEED.NORMAL);
+    hasted.statusEffects.add(STATUS_EFFECT.HASTE, 10);
+    playTurns([hasted], 2);
+
+    assert.equal(hasted.actions, 4);
+});
+
+test('a stunned enemy loses its action', () => {
+    const enemy = createActor(SPEED.NORMAL);
+    enemy.statusEffects.add(STATUS_EFFECT.STUN, 1);
+    playTurns([enemy], 3);
+
+    assert.equal(enemy.actions, 2);
+});
+
+test('a stunned player loses an action while the enemies keep acting', () => {
+    const enemy = createActor(SPEED.NORMAL);
+    const player = createActor(SPEED.NORMAL, ACTION_COST);
+    player.statusEffects.add(STATUS_EFFECT.STUN, 1);
+    playTurns([enemy], 1, player);
+
+    assert.equal(enemy.actions, 2);
+});